@@ -406,3 +406,75 @@ if (markViewBtn && timeline) {
     }
   });
 }
+
+// === Podcast player: resume and save playback position ===
+// Positions are stored per user on the server, so an episode resumes where
+// it was left off on any device. Media events don't bubble, so listen in
+// the capture phase to cover cards added by infinite scroll.
+const PLAYBACK_SAVE_INTERVAL = 15_000;
+const playbackSavedAt = new WeakMap();
+
+function isPodcastAudio(target) {
+  return target instanceof HTMLAudioElement &&
+    target.classList.contains("ms-podcast__audio");
+}
+
+function savePlayback(audio) {
+  const { itemId, playbackUrl } = audio.dataset;
+  if (!itemId || !playbackUrl) return;
+
+  playbackSavedAt.set(audio, Date.now());
+
+  // Finished episodes start from the beginning next time
+  const formData = new URLSearchParams();
+  formData.append("item", itemId);
+  formData.append("position", String(audio.ended ? 0 : Math.floor(audio.currentTime)));
+  if (Number.isFinite(audio.duration)) {
+    formData.append("duration", String(Math.round(audio.duration)));
+  }
+
+  fetch(playbackUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-CSRF-Token": csrfToken,
+    },
+    body: formData.toString(),
+    credentials: "same-origin",
+    keepalive: true,
+  }).catch((error) => {
+    console.error("Error saving playback position:", error);
+  });
+}
+
+document.addEventListener("loadedmetadata", (e) => {
+  const audio = e.target;
+  if (!isPodcastAudio(audio)) return;
+
+  // Don't resume into the last few seconds of an episode
+  const position = Number(audio.dataset.position);
+  if (position > 0 && position < audio.duration - 5) {
+    audio.currentTime = position;
+  }
+}, true);
+
+document.addEventListener("timeupdate", (e) => {
+  const audio = e.target;
+  if (!isPodcastAudio(audio) || audio.paused) return;
+
+  if (Date.now() - (playbackSavedAt.get(audio) || 0) >= PLAYBACK_SAVE_INTERVAL) {
+    savePlayback(audio);
+  }
+}, true);
+
+for (const type of ["pause", "ended"]) {
+  document.addEventListener(type, (e) => {
+    if (isPodcastAudio(e.target)) savePlayback(e.target);
+  }, true);
+}
+
+window.addEventListener("pagehide", () => {
+  for (const audio of document.querySelectorAll(".ms-podcast__audio")) {
+    if (!audio.paused) savePlayback(audio);
+  }
+});
@@ -11,8 +11,10 @@ import { readerController } from "./lib/controllers/reader/index.js";
 import { asyncHandler } from "./lib/utils/async-handler.js";
 import { handleMediaProxy } from "./lib/media/proxy.js";
 import { csrfToken, csrfValidate } from "./lib/utils/csrf.js";
-import { startScheduler, stopScheduler } from "./lib/polling/scheduler.js";
+import { Scheduler } from "./lib/polling/scheduler.js";
+import { createFetchLog } from "./lib/storage/fetch-log.js";
 import { createIndexes } from "./lib/storage/items.js";
+import { createPlaybackIndexes } from "./lib/storage/playback.js";
 import {
   cleanupAllReadItems,
   cleanupStaleItems,
@@ -119,6 +121,10 @@ export default class MicrosubEndpoint {
       "/channels/:uid/feeds/:feedId/edit",
       asyncHandler(readerController.updateFeedUrl),
     );
+    readerRouter.post(
+      "/channels/:uid/feeds/:feedId/move",
+      asyncHandler(readerController.moveFeed),
+    );
     readerRouter.post(
       "/channels/:uid/feeds/:feedId/rediscover",
       asyncHandler(readerController.rediscoverFeed),
@@ -127,6 +133,22 @@ export default class MicrosubEndpoint {
       "/channels/:uid/feeds/:feedId/refresh",
       asyncHandler(readerController.refreshFeed),
     );
+    readerRouter.post(
+      "/channels/:uid/feeds/:feedId/websub/resubscribe",
+      asyncHandler(readerController.resubscribeFeed),
+    );
+    readerRouter.post(
+      "/channels/:uid/feeds/:feedId/websub/unsubscribe",
+      asyncHandler(readerController.unsubscribeFeed),
+    );
+    readerRouter.post(
+      "/channels/:uid/feeds/:feedId/backfill",
+      asyncHandler(readerController.backfillFeed),
+    );
+    readerRouter.post(
+      "/channels/:uid/feeds/:feedId/full-content",
+      asyncHandler(readerController.updateFeedFullContent),
+    );
     readerRouter.get("/item/:id", asyncHandler(readerController.item));
     readerRouter.get("/compose", asyncHandler(readerController.compose));
     readerRouter.post("/compose", asyncHandler(readerController.submitCompose));
@@ -135,6 +157,7 @@ export default class MicrosubEndpoint {
     readerRouter.post("/subscribe", asyncHandler(readerController.subscribe));
     readerRouter.post("/api/mark-read", asyncHandler(readerController.markAllRead));
     readerRouter.post("/api/mark-view-read", asyncHandler(readerController.markViewRead));
+    readerRouter.post("/api/playback", asyncHandler(readerController.savePlayback));
     readerRouter.get("/opml", opmlController.exportOpml);
     readerRouter.get("/timeline/html", asyncHandler(readerController.timelineHtml));
     readerRouter.get("/timeline", asyncHandler(readerController.timeline));
@@ -160,7 +183,13 @@ export default class MicrosubEndpoint {
 
     // WebSub verification must be public for hubs to verify
     publicRouter.get("/websub/:id", websubLimiter, websubHandler.verify);
-    publicRouter.post("/websub/:id", websubLimiter, websubHandler.receive);
+    // Keep the raw body so pushes can be checked against X-Hub-Signature
+    publicRouter.post(
+      "/websub/:id",
+      websubLimiter,
+      express.raw({ type: () => true, limit: "5mb" }),
+      websubHandler.receive,
+    );
 
     // Webmention endpoint must be public
     publicRouter.post("/webmention", webmentionLimiter, webmentionReceiver.receive);
@@ -186,6 +215,8 @@ export default class MicrosubEndpoint {
     indiekit.addCollection("microsub_muted");
     indiekit.addCollection("microsub_blocked");
     indiekit.addCollection("microsub_deck_config");
+    indiekit.addCollection("microsub_fetch_log");
+    indiekit.addCollection("microsub_playback");
 
     console.info("[Microsub] Registered MongoDB collections");
 
@@ -204,12 +235,19 @@ export default class MicrosubEndpoint {
       createIndexes(indiekit).catch((error) => {
         console.warn("[Microsub] Index creation failed:", error.message);
       });
+      createFetchLog(indiekit).catch((error) => {
+        console.warn("[Microsub] Fetch log setup failed:", error.message);
+      });
+      createPlaybackIndexes(indiekit).catch((error) => {
+        console.warn("[Microsub] Playback index creation failed:", error.message);
+      });
 
       // Defer heavy tasks until host is ready
       this._stopGate = waitForReady(
         () => {
           console.info("[Microsub] Starting scheduler and maintenance tasks");
-          startScheduler(indiekit);
+          this._scheduler = new Scheduler(indiekit);
+          this._scheduler.start();
 
           // One-time migration: drop the abandoned "Fediverse" channel and its
           // items. Idempotent — does nothing once the channel is gone.
@@ -251,6 +289,6 @@ export default class MicrosubEndpoint {
    */
   destroy() {
     this._stopGate?.();
-    stopScheduler();
+    this._scheduler?.stop();
   }
 }
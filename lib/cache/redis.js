@@ -3,9 +3,12 @@
  * @module cache/redis
  */
 
+import { EventEmitter } from "node:events";
+
 // Redis is dynamically imported only when needed so the package is optional
 let Redis;
 let redisClient;
+let memoryPubSub;
 
 /**
  * Get Redis client from application
@@ -65,6 +68,74 @@ export async function getRedisClient(application) {
   }
 }
 
+/**
+ * Create an in-process pub/sub client. Implements the subset of the ioredis
+ * interface used by `publishEvent` and `subscribeToChannel` (publish,
+ * subscribe, on("message"), duplicate, quit). Connections created with
+ * `duplicate()` share one hub, so messages only reach subscribers in the
+ * same process.
+ * @param {Set<object>} [hub] - Connections sharing this bus
+ * @returns {object} Pub/sub client
+ */
+export function createMemoryPubSub(hub = new Set()) {
+  const connection = new EventEmitter();
+  const subscriptions = new Set();
+  hub.add(connection);
+
+  connection.subscriptions = subscriptions;
+
+  connection.publish = async (channel, message) => {
+    let receivers = 0;
+    for (const other of hub) {
+      if (other.subscriptions.has(channel)) {
+        receivers++;
+        // Deliver asynchronously, like a real broker
+        setImmediate(() => other.emit("message", channel, message));
+      }
+    }
+    return receivers;
+  };
+
+  connection.subscribe = async (channel) => {
+    subscriptions.add(channel);
+    return subscriptions.size;
+  };
+
+  connection.unsubscribe = async (channel) => {
+    subscriptions.delete(channel);
+    return subscriptions.size;
+  };
+
+  connection.duplicate = () => createMemoryPubSub(hub);
+
+  connection.quit = async () => {
+    subscriptions.clear();
+    connection.removeAllListeners();
+    hub.delete(connection);
+    return "OK";
+  };
+
+  return connection;
+}
+
+/**
+ * Get a pub/sub client: Redis when configured (needed for multi-process
+ * deployments), otherwise a process-wide in-memory bus
+ * @param {object} application - Indiekit application
+ * @returns {Promise<object>} Pub/sub client
+ */
+export async function getPubSubClient(application) {
+  const redis = await getRedisClient(application);
+  if (redis) {
+    return redis;
+  }
+
+  if (!memoryPubSub) {
+    memoryPubSub = createMemoryPubSub();
+  }
+  return memoryPubSub;
+}
+
 /**
  * Namespace cache keys to prevent cross-instance collisions
  * @param {string} key - Raw cache key
@@ -6,22 +6,45 @@
 import { IndiekitError } from "@indiekit/error";
 
 import {
+  formatUnread,
   getChannels,
   getChannel,
+  getEffectiveSettings,
   createChannel,
   updateChannel,
+  updateChannelSettings,
   deleteChannel,
   reorderChannels,
 } from "../storage/channels.js";
+import { getUnreadCount } from "../storage/items-read-state.js";
 import { getUserId } from "../utils/auth.js";
 import {
   validateChannel,
   validateChannelName,
+  validateChannelSettings,
   parseArrayParameter,
 } from "../utils/validation.js";
 
 /**
- * List all channels
+ * Channel settings accepted by `method=settings`
+ */
+const SETTING_KEYS = [
+  "excludeTypes",
+  "excludeRegex",
+  "maxItems",
+  "maxItemsPerFeed",
+  "maxUnreadAgeDays",
+  "unreadIndicator",
+  "resurfaceEdits",
+];
+
+/**
+ * Settings that are either on or off, so any other value just turns them off
+ */
+const TOGGLE_KEYS = new Set(["unreadIndicator", "resurfaceEdits"]);
+
+/**
+ * List all channels (uid, name and spec-shaped unread only)
  * GET ?action=channels
  * @param {object} request - Express request
  * @param {object} response - Express response
@@ -36,7 +59,7 @@ export async function list(request, response) {
 }
 
 /**
- * Handle channel actions (create, update, delete, order)
+ * Handle channel actions (create, update, delete, order, settings)
  * POST ?action=channels
  * @param {object} request - Express request
  * @param {object} response - Express response
@@ -60,6 +83,11 @@ export async function action(request, response) {
     return response.json({ deleted: uid });
   }
 
+  // Read or update channel filter/retention settings
+  if (method === "settings") {
+    return settings(request, response);
+  }
+
   // Reorder channels
   if (method === "order") {
     const channelUids = parseArrayParameter(request.body, "channels");
@@ -108,14 +136,75 @@ export async function action(request, response) {
 }
 
 /**
- * Get a single channel by UID
+ * Read or update a channel's filter and retention settings. Only parameters
+ * present in the request are changed; the response always carries the
+ * effective values, including inherited global defaults.
+ * POST ?action=channels&method=settings&channel=<uid>
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ */
+export async function settings(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const uid = request.body.channel || request.body.uid;
+
+  validateChannel(uid);
+
+  let channel = await getChannel(application, uid, userId);
+  if (!channel) {
+    throw new IndiekitError("Channel not found", {
+      status: 404,
+    });
+  }
+
+  // Collect the settings present in the request (arrays may use key[] form)
+  const input = {};
+  for (const key of SETTING_KEYS) {
+    const values = parseArrayParameter(request.body, key);
+    if (key in request.body || values.length > 0) {
+      input[key] = key === "excludeTypes" ? values : request.body[key];
+    }
+  }
+
+  const updates = validateChannelSettings(input);
+
+  // Validators return undefined for both "reset to default" and "invalid";
+  // only an empty value is a reset. Toggles are simply off when not set.
+  for (const [key, value] of Object.entries(updates)) {
+    const raw = input[key];
+    if (value === undefined && raw !== "" && !TOGGLE_KEYS.has(key)) {
+      throw new IndiekitError(`Invalid value for ${key}: ${raw}`, {
+        status: 400,
+      });
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    channel = await updateChannelSettings(
+      application,
+      uid,
+      { ...channel.settings, ...updates },
+      userId,
+    );
+  }
+
+  response.json({
+    uid: channel.uid,
+    name: channel.name,
+    ...getEffectiveSettings(channel),
+  });
+}
+
+/**
+ * Get a single channel by UID, including its settings
+ * GET ?action=channels&method=get&channel=<uid>
  * @param {object} request - Express request
  * @param {object} response - Express response
  */
 export async function get(request, response) {
   const { application } = request.app.locals;
   const userId = getUserId(request);
-  const { uid } = request.params;
+  const uid = request.query.channel || request.query.uid || request.params?.uid;
 
   validateChannel(uid);
 
@@ -126,9 +215,12 @@ export async function get(request, response) {
     });
   }
 
+  const unread = await getUnreadCount(application, channel._id, userId);
+
   response.json({
     uid: channel.uid,
     name: channel.name,
-    settings: channel.settings,
+    unread: formatUnread(channel, unread),
+    ...getEffectiveSettings(channel),
   });
 }
@@ -6,14 +6,18 @@
 import {
   addClient,
   removeClient,
+  replayToClient,
   sendEvent,
   subscribeClient,
 } from "../realtime/broker.js";
+import { getEventsSince } from "../realtime/replay.js";
 import { getUserId } from "../utils/auth.js";
 
 /**
  * SSE stream endpoint
  * GET ?action=events
+ * Clients reconnecting with a `Last-Event-ID` header (or `lastEventId`
+ * query parameter) first receive the events they missed.
  * @param {object} request - Express request
  * @param {object} response - Express response
  */
@@ -30,8 +34,14 @@ export async function stream(request, response) {
   // Flush headers immediately
   response.flushHeaders();
 
-  // Add client to broker (handles ping internally)
-  const client = addClient(response, userId, application);
+  const lastEventId =
+    request.get("Last-Event-ID") || request.query.lastEventId;
+
+  // Add client to broker (handles ping internally). Live events are held
+  // back until missed events have been replayed.
+  const client = addClient(response, userId, application, {
+    replaying: Boolean(lastEventId),
+  });
 
   // Subscribe to channels from query parameter
   const { channels } = request.query;
@@ -52,4 +62,9 @@ export async function stream(request, response) {
   request.on("close", () => {
     removeClient(response);
   });
+
+  if (lastEventId) {
+    const missed = await getEventsSince(application, userId, lastEventId);
+    replayToClient(response, missed);
+  }
 }
@@ -5,20 +5,29 @@
 
 import { IndiekitError } from "@indiekit/error";
 
+import { resolveFediverseProfile } from "../feeds/activitypub.js";
 import { detectCapabilities } from "../feeds/capabilities.js";
+import { parseBackfillDepth, queueBackfill } from "../polling/backfill.js";
+import { createTaskQueue } from "../polling/queue.js";
 import { refreshFeedNow } from "../polling/scheduler.js";
-import { getChannel } from "../storage/channels.js";
+import { getChannel, getChannelById } from "../storage/channels.js";
 import {
   createFeed,
   deleteFeed,
+  findFeedAcrossChannels,
   getFeedByUrl,
   getFeedsForChannel,
+  moveFeed,
   updateFeed,
 } from "../storage/feeds.js";
 import { getUserId } from "../utils/auth.js";
 import { notifyBlogroll } from "../utils/blogroll-notify.js";
 import { createFeedResponse } from "../utils/jf2.js";
-import { validateChannel, validateUrl } from "../utils/validation.js";
+import {
+  parseArrayParameter,
+  validateChannel,
+  validateUrl,
+} from "../utils/validation.js";
 import {
   unsubscribe as websubUnsubscribe,
   getCallbackUrl,
@@ -48,34 +57,186 @@ export async function list(request, response) {
   response.json({ items });
 }
 
+// Initial fetches for new follows run through a small queue so a bulk
+// follow doesn't fire dozens of simultaneous fetches
+const initialFetchQueue = createTaskQueue({ concurrency: 3 });
+
 /**
- * Follow a feed URL
- * POST ?action=follow
+ * Check whether a parameter was sent as an array (url[]=…, url[0]=…)
+ * @param {object} body - Request body
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for array parameters
+ */
+function isArrayParameter(body, name) {
+  return (
+    Array.isArray(body[name]) ||
+    body[`${name}[]`] !== undefined ||
+    body[`${name}[0]`] !== undefined
+  );
+}
+
+/**
+ * Create a feed subscription and queue its first fetch. Fediverse profile
+ * URLs follow the account's outbox (or .rss feed). A feed already followed
+ * in this channel is returned as is, without refetching it; throws a
+ * DUPLICATE_FEED error when the URL is followed in another channel.
+ * @param {object} application - Indiekit application
+ * @param {object} channelDocument - Channel document
+ * @param {string} url - Feed or fediverse profile URL
+ * @param {object} [options] - Follow options
+ * @param {number} [options.backfill] - Pages of older entries to backfill
+ * @returns {Promise<object>} `{ feed, isNew }`
+ */
+async function followUrl(application, channelDocument, url, options = {}) {
+  const profile = await resolveFediverseProfile(url);
+  const feedUrl = profile?.url || url;
+
+  const existing = await getFeedByUrl(
+    application,
+    channelDocument._id,
+    feedUrl,
+  );
+  if (existing) {
+    return { feed: existing, isNew: false };
+  }
+
+  const feed = await createFeed(application, {
+    channelId: channelDocument._id,
+    url: feedUrl,
+    title: profile?.title, // Otherwise populated on first fetch
+    photo: profile?.photo,
+  });
+
+  // Fetch (which also discovers WebSub hubs) and detect source capabilities
+  // in the background (don't await)
+  initialFetchQueue
+    .push(() =>
+      Promise.all([
+        refreshFeedNow(application, feed._id).catch((error) => {
+          console.error(
+            `[Microsub] Error fetching new feed ${feedUrl}:`,
+            error.message,
+          );
+        }),
+        detectCapabilities(feedUrl)
+          .then((capabilities) =>
+            updateFeed(application, feed._id, { capabilities }),
+          )
+          .catch((error) => {
+            console.error(
+              `[Microsub] Capability detection error for ${feedUrl}:`,
+              error.message,
+            );
+          }),
+      ]),
+    )
+    .catch(() => {});
+
+  if (options.backfill) {
+    await queueBackfill(application, feed, options.backfill);
+  }
+
+  // Notify blogroll plugin (fire-and-forget)
+  notifyBlogroll(application, "follow", {
+    url: feedUrl,
+    title: feed.title,
+    channelName: channelDocument.name,
+    feedId: feed._id.toString(),
+    channelId: channelDocument._id.toString(),
+  }).catch((error) => {
+    console.error(`[Microsub] Blogroll notify error:`, error.message);
+  });
+
+  return { feed, isNew: true };
+}
+
+/**
+ * Follow one or more feed URLs
+ * POST ?action=follow (method=move is handled by `move`)
+ * With `url[]`, responds with a result per URL instead of failing on the
+ * first duplicate, invalid or failing URL. With `backfill` (`true` or a page
+ * count), older entries are fetched from the feed's paged or archived
+ * history.
  * @param {object} request - Express request
  * @param {object} response - Express response
  */
 export async function follow(request, response) {
+  if (request.body.method === "move") {
+    return move(request, response);
+  }
+
   const { application } = request.app.locals;
   const userId = getUserId(request);
   const { channel, url } = request.body;
+  const isBulk = isArrayParameter(request.body, "url");
+  const options = {
+    backfill: ["false", "0", undefined].includes(request.body.backfill)
+      ? undefined
+      : parseBackfillDepth(request.body.backfill),
+  };
 
   validateChannel(channel);
-  validateUrl(url);
+  if (!isBulk) {
+    validateUrl(url);
+  }
 
   const channelDocument = await getChannel(application, channel, userId);
   if (!channelDocument) {
     throw new IndiekitError("Channel not found", { status: 404 });
   }
 
+  if (isBulk) {
+    const items = [];
+    for (const feedUrl of parseArrayParameter(request.body, "url")) {
+      try {
+        validateUrl(feedUrl);
+      } catch (error) {
+        items.push({ url: feedUrl, result: "invalid", error: error.message });
+        continue;
+      }
+
+      try {
+        const { feed, isNew } = await followUrl(
+          application,
+          channelDocument,
+          feedUrl,
+          options,
+        );
+        // Already followed here: nothing is refetched or re-queued
+        items.push(
+          isNew
+            ? { ...createFeedResponse(feed), result: "created" }
+            : {
+                url: feedUrl,
+                result: "duplicate",
+                channel: channelDocument.name,
+              },
+        );
+      } catch (error) {
+        // Report failures per URL: earlier URLs are already followed
+        if (error.code === "DUPLICATE_FEED") {
+          items.push({
+            url: feedUrl,
+            result: "duplicate",
+            channel: error.channelName,
+          });
+        } else {
+          console.error(
+            `[Microsub] Error following ${feedUrl}:`,
+            error.message,
+          );
+          items.push({ url: feedUrl, result: "error", error: error.message });
+        }
+      }
+    }
+
+    return response.json({ items });
+  }
+
   // Create feed subscription (throws DUPLICATE_FEED if already exists elsewhere)
-  let feed;
+  let followed;
   try {
-    feed = await createFeed(application, {
-      channelId: channelDocument._id,
-      url,
-      title: undefined, // Will be populated on first fetch
-      photo: undefined,
-    });
+    followed = await followUrl(application, channelDocument, url, options);
   } catch (error) {
     if (error.code === "DUPLICATE_FEED") {
       throw new IndiekitError(
@@ -86,42 +247,18 @@ export async function follow(request, response) {
     throw error;
   }
 
-  // Trigger immediate fetch in background (don't await)
-  // This will also discover and subscribe to WebSub hubs
-  refreshFeedNow(application, feed._id).catch((error) => {
-    console.error(`[Microsub] Error fetching new feed ${url}:`, error.message);
-  });
-
-  // Detect source capabilities (fire-and-forget)
-  detectCapabilities(url).then((capabilities) => {
-    updateFeed(application, feed._id, { capabilities }).catch((error) => {
-      console.error(`[Microsub] Capability storage error:`, error.message);
-    });
-  }).catch((error) => {
-    console.error(`[Microsub] Capability detection error for ${url}:`, error.message);
-  });
-
-  // Notify blogroll plugin (fire-and-forget)
-  notifyBlogroll(application, "follow", {
-    url,
-    title: feed.title,
-    channelName: channelDocument.name,
-    feedId: feed._id.toString(),
-    channelId: channelDocument._id.toString(),
-  }).catch((error) => {
-    console.error(`[Microsub] Blogroll notify error:`, error.message);
-  });
-
-  response.status(201).json(createFeedResponse(feed));
+  response
+    .status(followed.isNew ? 201 : 200)
+    .json(createFeedResponse(followed.feed));
 }
 
 /**
- * Unfollow a feed URL
- * POST ?action=unfollow
+ * Move a followed feed and its items to another channel
+ * POST ?action=follow&method=move&channel=<target uid>&url=<feed url>
  * @param {object} request - Express request
  * @param {object} response - Express response
  */
-export async function unfollow(request, response) {
+export async function move(request, response) {
   const { application } = request.app.locals;
   const userId = getUserId(request);
   const { channel, url } = request.body;
@@ -129,11 +266,46 @@ export async function unfollow(request, response) {
   validateChannel(channel);
   validateUrl(url);
 
-  const channelDocument = await getChannel(application, channel, userId);
-  if (!channelDocument) {
+  const targetChannel = await getChannel(application, channel, userId);
+  if (!targetChannel) {
     throw new IndiekitError("Channel not found", { status: 404 });
   }
 
+  // Feeds are unique across channels, so the URL identifies the source
+  const existing = await findFeedAcrossChannels(application, url);
+  const sourceChannel =
+    existing && (await getChannelById(application, existing.feed.channelId));
+  if (!sourceChannel || (userId && sourceChannel.userId !== userId)) {
+    throw new IndiekitError("Feed not found", { status: 404 });
+  }
+
+  if (sourceChannel._id.equals(targetChannel._id)) {
+    return response.json({
+      ...createFeedResponse(existing.feed),
+      channel: targetChannel.uid,
+      moved: 0,
+      dropped: [],
+    });
+  }
+
+  const result = await moveFeed(application, existing.feed._id, targetChannel);
+
+  response.json({
+    ...createFeedResponse(result.feed),
+    channel: targetChannel.uid,
+    moved: result.moved,
+    dropped: result.dropped,
+  });
+}
+
+/**
+ * Remove a feed subscription, its items and its WebSub subscription
+ * @param {object} application - Indiekit application
+ * @param {object} channelDocument - Channel document
+ * @param {string} url - Feed URL
+ * @returns {Promise<boolean>} True if the feed was removed
+ */
+async function unfollowUrl(application, channelDocument, url) {
   // Get feed before deletion to check for WebSub subscription
   const feed = await getFeedByUrl(application, channelDocument._id, url);
 
@@ -153,7 +325,7 @@ export async function unfollow(request, response) {
 
   const deleted = await deleteFeed(application, channelDocument._id, url);
   if (!deleted) {
-    throw new IndiekitError("Feed not found", { status: 404 });
+    return false;
   }
 
   // Notify blogroll plugin (fire-and-forget)
@@ -161,5 +333,65 @@ export async function unfollow(request, response) {
     console.error(`[Microsub] Blogroll notify error:`, error.message);
   });
 
+  return true;
+}
+
+/**
+ * Unfollow one or more feed URLs
+ * POST ?action=unfollow
+ * With `url[]`, responds with a result per URL.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ */
+export async function unfollow(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { channel, url } = request.body;
+  const isBulk = isArrayParameter(request.body, "url");
+
+  validateChannel(channel);
+  if (!isBulk) {
+    validateUrl(url);
+  }
+
+  const channelDocument = await getChannel(application, channel, userId);
+  if (!channelDocument) {
+    throw new IndiekitError("Channel not found", { status: 404 });
+  }
+
+  if (isBulk) {
+    const items = [];
+    for (const feedUrl of parseArrayParameter(request.body, "url")) {
+      try {
+        validateUrl(feedUrl);
+      } catch (error) {
+        items.push({ url: feedUrl, result: "invalid", error: error.message });
+        continue;
+      }
+
+      try {
+        const deleted = await unfollowUrl(
+          application,
+          channelDocument,
+          feedUrl,
+        );
+        items.push({ url: feedUrl, result: deleted ? "removed" : "not_found" });
+      } catch (error) {
+        console.error(
+          `[Microsub] Error unfollowing ${feedUrl}:`,
+          error.message,
+        );
+        items.push({ url: feedUrl, result: "error", error: error.message });
+      }
+    }
+
+    return response.json({ items });
+  }
+
+  const deleted = await unfollowUrl(application, channelDocument, url);
+  if (!deleted) {
+    throw new IndiekitError("Feed not found", { status: 404 });
+  }
+
   response.json({ result: "ok" });
 }
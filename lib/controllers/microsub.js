@@ -8,7 +8,11 @@ import { IndiekitError } from "@indiekit/error";
 import { validateAction } from "../utils/validation.js";
 
 import { list as listBlocked, block, unblock } from "./block.js";
-import { list as listChannels, action as channelAction } from "./channels.js";
+import {
+  list as listChannels,
+  get as getChannel,
+  action as channelAction,
+} from "./channels.js";
 import { stream as eventsStream } from "./events.js";
 import { list as listFollows, follow, unfollow } from "./follow.js";
 import { list as listMuted, mute, unmute } from "./mute.js";
@@ -35,6 +39,9 @@ export async function get(request, response, next) {
 
     switch (action) {
       case "channels": {
+        if (request.query.method === "get") {
+          return getChannel(request, response);
+        }
         return listChannels(request, response);
       }
 
@@ -15,9 +15,7 @@ import { countReadItems } from "../../storage/items-read-state.js";
 import { getUserId } from "../../utils/auth.js";
 import {
   validateChannelName,
-  validateExcludeTypes,
-  validateExcludeRegex,
-  validateRetentionSetting,
+  validateChannelSettings,
 } from "../../utils/validation.js";
 import {
   DEFAULT_MAX_ITEMS,
@@ -269,6 +267,8 @@ export async function updateSettings(request, response) {
     maxItems,
     maxItemsPerFeed,
     maxUnreadAgeDays,
+    unreadIndicator,
+    resurfaceEdits,
   } = request.body;
 
   const channelDocument = await getChannel(application, uid, userId);
@@ -276,36 +276,23 @@ export async function updateSettings(request, response) {
     return response.status(404).render("404");
   }
 
-  const validatedTypes = validateExcludeTypes(
-    Array.isArray(excludeTypes) ? excludeTypes : [excludeTypes].filter(Boolean),
-  );
-  const validatedRegex = validateExcludeRegex(excludeRegex);
-
-  // Retention overrides. Empty/invalid input falls back to the global default
-  // (stored as undefined so future global default changes apply automatically).
-  const validatedMaxItems = validateRetentionSetting(maxItems, {
-    min: 10,
-    max: 100_000,
-  });
-  const validatedMaxItemsPerFeed = validateRetentionSetting(maxItemsPerFeed, {
-    min: 1,
-    max: 10_000,
-  });
-  const validatedMaxUnreadAgeDays = validateRetentionSetting(
+  // Unchecked checkboxes are omitted from the form body, so default them.
+  // Empty/invalid retention input falls back to the global default (stored as
+  // undefined so future global default changes apply automatically).
+  const validatedSettings = validateChannelSettings({
+    excludeTypes: excludeTypes ?? [],
+    excludeRegex,
+    maxItems,
+    maxItemsPerFeed,
     maxUnreadAgeDays,
-    { min: 1, max: 3650 },
-  );
+    unreadIndicator: unreadIndicator ?? "",
+    resurfaceEdits: resurfaceEdits ?? "",
+  });
 
   await updateChannelSettings(
     application,
     uid,
-    {
-      excludeTypes: validatedTypes,
-      excludeRegex: validatedRegex,
-      maxItems: validatedMaxItems,
-      maxItemsPerFeed: validatedMaxItemsPerFeed,
-      maxUnreadAgeDays: validatedMaxUnreadAgeDays,
-    },
+    { ...channelDocument.settings, ...validatedSettings },
     userId,
   );
 
@@ -0,0 +1,44 @@
+/**
+ * Historical backfill from the feed details page
+ * @module controllers/reader/feed-backfill
+ */
+
+import { parseBackfillDepth, queueBackfill } from "../../polling/backfill.js";
+import { getChannel } from "../../storage/channels.js";
+import { getFeedById } from "../../storage/feeds.js";
+import { getUserId } from "../../utils/auth.js";
+
+/**
+ * Queue a backfill of older entries through the feed's paged or archived
+ * history. The scheduler fetches the pages in the background.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function backfillFeed(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { uid, feedId } = request.params;
+
+  const channelDocument = await getChannel(application, uid, userId);
+  if (!channelDocument) {
+    return response.status(404).render("404");
+  }
+
+  const feed = await getFeedById(application, feedId);
+  if (!feed || feed.channelId.toString() !== channelDocument._id.toString()) {
+    return response.status(404).render("404");
+  }
+
+  // Don't restart a job that's already walking pages
+  if (feed.backfill?.state !== "running") {
+    await queueBackfill(
+      application,
+      feed,
+      parseBackfillDepth(request.body.depth),
+    );
+    console.info(`[Microsub] Queued backfill for ${feed.url}`);
+  }
+
+  response.redirect(`${request.baseUrl}/channels/${uid}/feeds/${feedId}/edit`);
+}
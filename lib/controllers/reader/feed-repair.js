@@ -44,6 +44,7 @@ export async function rediscoverFeed(request, response) {
         lastError: undefined,
         lastErrorAt: undefined,
         consecutiveErrors: 0,
+        consecutiveNotFound: 0,
       });
 
       console.info(
@@ -65,6 +66,7 @@ export async function rediscoverFeed(request, response) {
         lastError: undefined,
         lastErrorAt: undefined,
         consecutiveErrors: 0,
+        consecutiveNotFound: 0,
       });
 
       refreshFeedNow(application, feedId).catch((error) => {
@@ -0,0 +1,88 @@
+/**
+ * WebSub subscription management from the feed details page
+ * @module controllers/reader/feed-websub
+ */
+
+import { getChannel } from "../../storage/channels.js";
+import { getFeedById } from "../../storage/feeds.js";
+import { getUserId } from "../../utils/auth.js";
+import {
+  getCallbackUrl,
+  subscribe,
+  unsubscribe,
+} from "../../websub/subscriber.js";
+
+/**
+ * Look up a feed in the request's channel
+ * @param {object} request - Express request
+ * @returns {Promise<object|undefined>} Feed document
+ */
+async function getRequestFeed(request) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { uid, feedId } = request.params;
+
+  const channelDocument = await getChannel(application, uid, userId);
+  if (!channelDocument) {
+    return;
+  }
+
+  const feed = await getFeedById(application, feedId);
+  if (!feed || feed.channelId.toString() !== channelDocument._id.toString()) {
+    return;
+  }
+
+  return feed;
+}
+
+/**
+ * Send a fresh subscribe request to the feed's hub
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function resubscribeFeed(request, response) {
+  const { application } = request.app.locals;
+  const { uid, feedId } = request.params;
+
+  const feed = await getRequestFeed(request);
+  if (!feed) {
+    return response.status(404).render("404");
+  }
+
+  if (feed.websub?.hub && application.url) {
+    const callbackUrl = getCallbackUrl(application.url, feedId);
+    const subscribed = await subscribe(application, feed, callbackUrl);
+    console.info(
+      `[Microsub] Manual WebSub resubscribe for ${feed.url}: ${subscribed ? "requested" : "failed"}`,
+    );
+  }
+
+  response.redirect(`${request.baseUrl}/channels/${uid}/feeds/${feedId}/edit`);
+}
+
+/**
+ * Unsubscribe from the feed's hub (the feed falls back to polling)
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function unsubscribeFeed(request, response) {
+  const { application } = request.app.locals;
+  const { uid, feedId } = request.params;
+
+  const feed = await getRequestFeed(request);
+  if (!feed) {
+    return response.status(404).render("404");
+  }
+
+  if (feed.websub?.hub && application.url) {
+    const callbackUrl = getCallbackUrl(application.url, feedId);
+    const unsubscribed = await unsubscribe(application, feed, callbackUrl);
+    console.info(
+      `[Microsub] Manual WebSub unsubscribe for ${feed.url}: ${unsubscribed ? "requested" : "failed"}`,
+    );
+  }
+
+  response.redirect(`${request.baseUrl}/channels/${uid}/feeds/${feedId}/edit`);
+}
@@ -3,19 +3,69 @@
  * @module controllers/reader/feed
  */
 
+import { resolveFediverseProfile } from "../../feeds/activitypub.js";
 import { validateFeedUrl } from "../../feeds/validator.js";
+import { parseBackfillDepth, queueBackfill } from "../../polling/backfill.js";
 import { refreshFeedNow } from "../../polling/scheduler.js";
-import { getChannel } from "../../storage/channels.js";
+import { getChannel, getChannels } from "../../storage/channels.js";
+import { countWebsubPushes, getFetchLog } from "../../storage/fetch-log.js";
 import {
   getFeedsForChannel,
   getFeedById,
+  getFeedByUrl,
   createFeed,
   deleteFeed,
+  moveFeed,
   updateFeed,
 } from "../../storage/feeds.js";
 import { getUserId } from "../../utils/auth.js";
+import { getSubscriptionDiagnostics } from "../../websub/subscriber.js";
 
+export { backfillFeed } from "./feed-backfill.js";
 export { rediscoverFeed, refreshFeed } from "./feed-repair.js";
+export { resubscribeFeed, unsubscribeFeed } from "./feed-websub.js";
+
+const FETCH_HISTORY_LIMIT = 30;
+
+/**
+ * Get recent fetches for the feed details page, oldest first so the
+ * sparkline reads left to right. Each entry gets a bar `height` (percent of
+ * the slowest fetch shown).
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @returns {Promise<Array>} Fetch log entries
+ */
+async function getFetchHistory(application, feed) {
+  const entries = await getFetchLog(
+    application,
+    feed._id,
+    FETCH_HISTORY_LIMIT,
+  );
+  const maxDuration = Math.max(1, ...entries.map((entry) => entry.duration));
+
+  return entries.toReversed().map((entry) => ({
+    ...entry,
+    height: Math.max(10, Math.round((entry.duration / maxDuration) * 100)),
+  }));
+}
+
+/**
+ * Get WebSub diagnostics for the feed details page, with push counts from
+ * the fetch log
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @returns {Promise<object|undefined>} Diagnostics, if a hub is known
+ */
+async function getWebsubDiagnostics(application, feed) {
+  if (!feed.websub?.hub) {
+    return;
+  }
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const pushesLast24h = await countWebsubPushes(application, feed._id, since);
+
+  return getSubscriptionDiagnostics(feed, { pushesLast24h });
+}
 
 /**
  * View feeds for a channel
@@ -35,10 +85,34 @@ export async function feeds(request, response) {
 
   const feedList = await getFeedsForChannel(application, channelDocument._id);
 
+  // Confirmation after moving a feed here from another channel, with a way
+  // to move it back
+  let notice;
+  let moved;
+  if (request.query.moved !== undefined) {
+    const dropped = Number.parseInt(request.query.dropped, 10) || 0;
+    notice = request.__("microsub.feeds.moved", {
+      count: Number.parseInt(request.query.moved, 10) || 0,
+    });
+    if (dropped > 0) {
+      notice += " " + request.__("microsub.feeds.dropped", { count: dropped });
+    }
+
+    const source = await getChannel(application, request.query.from, userId);
+    const feed = feedList.find(
+      (entry) => entry._id.toString() === request.query.feed,
+    );
+    if (source && feed) {
+      moved = { feed, source };
+    }
+  }
+
   response.render("feeds", {
     title: request.__("microsub.feeds.title"),
     channel: channelDocument,
     feeds: feedList,
+    notice,
+    moved,
     baseUrl: request.baseUrl,
     readerBaseUrl: request.baseUrl,
     activeView: "channels",
@@ -61,7 +135,7 @@ export async function addFeed(request, response) {
   const { application } = request.app.locals;
   const userId = getUserId(request);
   const { uid } = request.params;
-  const { url } = request.body;
+  const { url, backfill } = request.body;
 
   const channelDocument = await getChannel(application, uid, userId);
   if (!channelDocument) {
@@ -69,19 +143,35 @@ export async function addFeed(request, response) {
   }
 
   try {
+    // Fediverse profile URLs follow the account's outbox (or .rss feed)
+    const profile = await resolveFediverseProfile(url);
+    const feedUrl = profile?.url || url;
+
+    // Already followed in this channel: don't refetch or reset its backfill
+    if (await getFeedByUrl(application, channelDocument._id, feedUrl)) {
+      return response.redirect(`${request.baseUrl}/channels/${uid}/feeds`);
+    }
+
     // Create feed subscription (throws DUPLICATE_FEED if already exists)
     const feed = await createFeed(application, {
       channelId: channelDocument._id,
-      url,
-      title: undefined,
-      photo: undefined,
+      url: feedUrl,
+      title: profile?.title,
+      photo: profile?.photo,
     });
 
     // Trigger immediate fetch in background
     refreshFeedNow(application, feed._id).catch((error) => {
-      console.error(`[Microsub] Error fetching new feed ${url}:`, error.message);
+      console.error(
+        `[Microsub] Error fetching new feed ${feed.url}:`,
+        error.message,
+      );
     });
 
+    if (backfill) {
+      await queueBackfill(application, feed, parseBackfillDepth(backfill));
+    }
+
     response.redirect(`${request.baseUrl}/channels/${uid}/feeds`);
   } catch (error) {
     if (error.code === "DUPLICATE_FEED") {
@@ -162,10 +252,15 @@ export async function editFeedForm(request, response) {
     return response.status(404).render("404");
   }
 
+  const channelList = await getChannels(application, userId);
+
   response.render("feed-edit", {
     title: request.__("microsub.feeds.edit"),
     channel: channelDocument,
+    channels: channelList,
     feed,
+    websub: await getWebsubDiagnostics(application, feed),
+    fetchHistory: await getFetchHistory(application, feed),
     baseUrl: request.baseUrl,
     readerBaseUrl: request.baseUrl,
     activeView: "channels",
@@ -205,10 +300,14 @@ export async function updateFeedUrl(request, response) {
   const validation = await validateFeedUrl(newUrl);
 
   if (!validation.valid) {
+    const channelList = await getChannels(application, userId);
     return response.render("feed-edit", {
       title: request.__("microsub.feeds.edit"),
       channel: channelDocument,
+      channels: channelList,
       feed,
+      websub: await getWebsubDiagnostics(application, feed),
+      fetchHistory: await getFetchHistory(application, feed),
       error: validation.error,
       baseUrl: request.baseUrl,
       readerBaseUrl: request.baseUrl,
@@ -231,6 +330,7 @@ export async function updateFeedUrl(request, response) {
     lastError: undefined,
     lastErrorAt: undefined,
     consecutiveErrors: 0,
+    consecutiveNotFound: 0,
   });
 
   // Trigger immediate fetch
@@ -244,3 +344,65 @@ export async function updateFeedUrl(request, response) {
   response.redirect(`${request.baseUrl}/channels/${uid}/feeds`);
 }
 
+/**
+ * Turn full-article extraction on or off for a feed. Applies to items
+ * stored from now on.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function updateFeedFullContent(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { uid, feedId } = request.params;
+
+  const channelDocument = await getChannel(application, uid, userId);
+  if (!channelDocument) {
+    return response.status(404).render("404");
+  }
+
+  const feed = await getFeedById(application, feedId);
+  if (!feed || feed.channelId.toString() !== channelDocument._id.toString()) {
+    return response.status(404).render("404");
+  }
+
+  await updateFeed(application, feedId, {
+    fullContent: request.body.fullContent === "true",
+  });
+
+  response.redirect(`${request.baseUrl}/channels/${uid}/feeds/${feedId}/edit`);
+}
+
+/**
+ * Move feed (and its items) to another channel
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function moveFeedAction(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { uid, feedId } = request.params;
+  const { channel: targetUid } = request.body;
+
+  const channelDocument = await getChannel(application, uid, userId);
+  if (!channelDocument) {
+    return response.status(404).render("404");
+  }
+
+  const feed = await getFeedById(application, feedId);
+  if (!feed || feed.channelId.toString() !== channelDocument._id.toString()) {
+    return response.status(404).render("404");
+  }
+
+  const targetChannel = await getChannel(application, targetUid, userId);
+  if (!targetChannel || targetChannel.uid === uid) {
+    return response.redirect(`${request.baseUrl}/channels/${uid}/feeds`);
+  }
+
+  const result = await moveFeed(application, feed._id, targetChannel);
+
+  response.redirect(
+    `${request.baseUrl}/channels/${targetChannel.uid}/feeds?moved=${result.moved}&dropped=${result.dropped.length}&from=${encodeURIComponent(uid)}&feed=${feed._id}`,
+  );
+}
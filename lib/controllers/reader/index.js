@@ -23,8 +23,13 @@ import {
   feedDetails,
   editFeedForm,
   updateFeedUrl,
+  moveFeedAction,
   rediscoverFeed,
   refreshFeed,
+  resubscribeFeed,
+  unsubscribeFeed,
+  backfillFeed,
+  updateFeedFullContent,
 } from "./feed.js";
 
 import {
@@ -32,6 +37,7 @@ import {
   timelineHtml,
   markAllRead,
   markViewRead,
+  savePlayback,
   item,
 } from "./timeline.js";
 
@@ -52,6 +58,7 @@ export const readerController = {
   updateSettings,
   markAllRead,
   markViewRead,
+  savePlayback,
   deleteChannel: deleteChannelAction,
   feeds,
   addFeed,
@@ -59,8 +66,13 @@ export const readerController = {
   feedDetails,
   editFeedForm,
   updateFeedUrl,
+  moveFeed: moveFeedAction,
   rediscoverFeed,
   refreshFeed,
+  resubscribeFeed,
+  unsubscribeFeed,
+  backfillFeed,
+  updateFeedFullContent,
   item,
   compose,
   submitCompose,
@@ -10,8 +10,10 @@ import {
   getItemById,
 } from "../../storage/items.js";
 import { markItemsRead } from "../../storage/items-read-state.js";
+import { savePlaybackPosition } from "../../storage/playback.js";
 import { getUserId } from "../../utils/auth.js";
 import { proxyItemImages } from "../../media/proxy.js";
+import { publishReadStateChange } from "../../realtime/publisher.js";
 
 /**
  * Timeline view - all channels chronologically
@@ -177,6 +179,7 @@ export async function markAllRead(request, response) {
     ["last-read-entry"],
     userId,
   );
+  await publishReadStateChange(application, channelDocument, userId);
 
   response.redirect(`${request.baseUrl}/channels/${channelUid}`);
 }
@@ -200,6 +203,7 @@ export async function markViewRead(request, response) {
   const entryIds = Array.isArray(entry) ? entry : entry ? [entry] : [];
   if (entryIds.length > 0) {
     await markItemsRead(application, channelDocument._id, entryIds, userId);
+    await publishReadStateChange(application, channelDocument, userId);
   }
 
   response.redirect(`${request.baseUrl}/channels/${channelUid}`);
@@ -249,3 +253,41 @@ export async function item(request, response) {
     breadcrumbs: itemBreadcrumbs,
   });
 }
+
+/**
+ * Save the user's podcast playback position for an item. Called by the
+ * reader's audio player, so an episode resumes where it was left off on
+ * any device.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @returns {Promise<void>}
+ */
+export async function savePlayback(request, response) {
+  const { application } = request.app.locals;
+  const userId = getUserId(request);
+  const { item: itemId } = request.body;
+  const position = Number.parseFloat(request.body.position);
+  const duration = Number.parseFloat(request.body.duration);
+
+  if (!itemId || !Number.isFinite(position) || position < 0) {
+    return response.status(400).json({ error: "Invalid playback position" });
+  }
+
+  // Only items in the user's own channels
+  const itemDocument = await getItemById(application, itemId, userId);
+  const channel = itemDocument?._channelId
+    ? await getChannelById(application, itemDocument._channelId)
+    : undefined;
+  if (!channel || (userId && channel.userId && channel.userId !== userId)) {
+    return response.status(404).json({ error: "Item not found" });
+  }
+
+  await savePlaybackPosition(application, {
+    userId,
+    itemId: itemDocument._id,
+    position: Math.floor(position),
+    duration: Number.isFinite(duration) ? Math.round(duration) : undefined,
+  });
+
+  response.status(204).end();
+}
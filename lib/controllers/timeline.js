@@ -6,6 +6,7 @@
 import { IndiekitError } from "@indiekit/error";
 
 import { proxyItemImages } from "../media/proxy.js";
+import { publishReadStateChange } from "../realtime/publisher.js";
 import { getChannel, getChannelById } from "../storage/channels.js";
 import {
   getTimelineItems,
@@ -14,6 +15,7 @@ import {
 import {
   markFeedItemsRead,
   markItemsRead,
+  markItemsReadUpTo,
   markItemsUnread,
 } from "../storage/items-read-state.js";
 import { getUserId } from "../utils/auth.js";
@@ -96,6 +98,22 @@ export async function action(request, response) {
 
   switch (method) {
     case "mark_read": {
+      // Spec: last_read_entry marks the entry and everything older as read
+      const lastReadEntry = request.body.last_read_entry;
+      if (lastReadEntry) {
+        const count = await markItemsReadUpTo(
+          application,
+          channelDocument._id,
+          lastReadEntry,
+          userId,
+        );
+        if (count === undefined) {
+          throw new IndiekitError("Entry not found", { status: 404 });
+        }
+        await publishReadStateChange(application, channelDocument, userId);
+        return response.json({ result: "ok", updated: count });
+      }
+
       validateEntries(entries);
       const count = await markItemsRead(
         application,
@@ -103,6 +121,7 @@ export async function action(request, response) {
         entries,
         userId,
       );
+      await publishReadStateChange(application, channelDocument, userId);
       return response.json({ result: "ok", updated: count });
     }
 
@@ -119,6 +138,7 @@ export async function action(request, response) {
         feedId,
         userId,
       );
+      await publishReadStateChange(application, channelDocument, userId);
       return response.json({ result: "ok", updated: count });
     }
 
@@ -130,6 +150,7 @@ export async function action(request, response) {
         entries,
         userId,
       );
+      await publishReadStateChange(application, channelDocument, userId);
       return response.json({ result: "ok", updated: count });
     }
 
@@ -140,6 +161,7 @@ export async function action(request, response) {
         channelDocument._id,
         entries,
       );
+      await publishReadStateChange(application, channelDocument, userId);
       return response.json({ result: "ok", removed: count });
     }
 
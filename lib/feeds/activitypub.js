@@ -0,0 +1,354 @@
+/**
+ * Fediverse accounts as feeds. Profile URLs are resolved through WebFinger
+ * and the actor document to the account's outbox (or its `.rss` feed when
+ * the instance doesn't serve the outbox publicly), and outbox pages are
+ * normalized to jf2: posts as entries, boosts as `repost-of` and replies
+ * with `in-reply-to`.
+ * @module feeds/activitypub
+ */
+
+import { fetchFeed } from "./fetcher.js";
+import {
+  generateItemUid,
+  sanitizeHtml,
+  SANITIZE_OPTIONS,
+  toISOStringSafe,
+} from "./normalizer.js";
+
+const ACTIVITY_ACCEPT =
+  'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+const WEBFINGER_ACCEPT = "application/jrd+json, application/json";
+const FETCH_TIMEOUT = 15_000;
+const PUBLIC_ADDRESSES = new Set([
+  "https://www.w3.org/ns/activitystreams#Public",
+  "as:Public",
+  "Public",
+]);
+const ACTOR_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+/** @type {Map<string, { promise: Promise<object|undefined>, fetchedAt: number }>} */
+const actorCache = new Map();
+
+/**
+ * Match a fediverse profile URL (`/@user` as used by Mastodon, Pleroma and
+ * Misskey, or `/users/user`)
+ * @param {string} url - URL
+ * @returns {object|undefined} `{ origin, host, user }`
+ */
+export function parseProfileUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return;
+  }
+
+  const match = parsed.pathname.match(/^\/(?:@|users\/)([\w.-]+)\/?$/);
+  if (!match || parsed.search) {
+    return;
+  }
+
+  return { origin: parsed.origin, host: parsed.host, user: match[1] };
+}
+
+/**
+ * Fetch and parse an ActivityPub or WebFinger JSON document
+ * @param {string} url - Document URL
+ * @param {string} [accept] - Accept header
+ * @returns {Promise<object>} Parsed JSON
+ */
+async function fetchJson(url, accept = ACTIVITY_ACCEPT) {
+  const result = await fetchFeed(url, { accept, timeout: FETCH_TIMEOUT });
+  return JSON.parse(result.content);
+}
+
+/**
+ * Look up an account's actor URL with WebFinger, on the profile's origin
+ * @param {object} profile - Parsed profile URL (see parseProfileUrl)
+ * @returns {Promise<string|undefined>} Actor URL
+ */
+async function webfinger({ origin, host, user }) {
+  const resource = encodeURIComponent(`acct:${user}@${host}`);
+  const jrd = await fetchJson(
+    `${origin}/.well-known/webfinger?resource=${resource}`,
+    WEBFINGER_ACCEPT,
+  );
+
+  const self = jrd.links?.find(
+    (link) =>
+      link.rel === "self" && /activity\+json|ld\+json/.test(link.type || ""),
+  );
+  return self?.href;
+}
+
+/**
+ * Get the first URL of an ActivityStreams link value
+ * @param {string|object|Array} [value] - URL, Link/Image object or array
+ * @returns {string|undefined} URL
+ */
+function linkUrl(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (!first) {
+    return;
+  }
+
+  if (typeof first === "string") {
+    return first;
+  }
+
+  return linkUrl(first.href || first.url);
+}
+
+/**
+ * Account details from an actor document
+ * @param {object} actor - Actor document
+ * @returns {object} `{ name, photo, url }`
+ */
+function getActorMeta(actor) {
+  return {
+    name: actor.name || actor.preferredUsername || undefined,
+    photo: linkUrl(actor.icon),
+    url: linkUrl(actor.url) || actor.id,
+  };
+}
+
+/**
+ * Fetch an actor's details, cached
+ * @param {string} url - Actor URL
+ * @returns {Promise<object|undefined>} `{ name, photo, url }`
+ */
+function getActor(url) {
+  const now = Date.now();
+  const hit = actorCache.get(url);
+  if (hit && now - hit.fetchedAt < ACTOR_TTL) {
+    return hit.promise;
+  }
+
+  // ponytail: crude full-clear eviction, as in source-meta
+  if (actorCache.size >= MAX_CACHE_ENTRIES) {
+    actorCache.clear();
+  }
+
+  const promise = fetchJson(url)
+    .then((actor) => getActorMeta(actor))
+    .catch(() => {});
+
+  actorCache.set(url, { promise, fetchedAt: now });
+  return promise;
+}
+
+/**
+ * Resolve a fediverse profile URL to the account's public feed: the
+ * ActivityPub outbox, which includes boosts and replies, or the `.rss` feed
+ * when the instance only serves the actor or outbox to signed requests
+ * @param {string} url - Profile URL
+ * @returns {Promise<object|undefined>} `{ url, type, title, photo, siteUrl }`,
+ *   or undefined if the URL isn't a fediverse profile
+ */
+export async function resolveFediverseProfile(url) {
+  const profile = parseProfileUrl(url);
+  if (!profile) {
+    return;
+  }
+
+  const actorUrl = await webfinger(profile).catch(() => {});
+
+  let actor;
+  try {
+    actor = await fetchJson(actorUrl || url);
+  } catch {
+    // Not an ActivityPub server (e.g. Medium's /@user pages)
+  }
+
+  if (!actor?.outbox) {
+    // WebFinger knows the account, but the instance only serves the actor
+    // to signed requests
+    return actorUrl
+      ? { url: `${url.replace(/\/$/, "")}.rss`, type: "rss" }
+      : undefined;
+  }
+
+  const meta = getActorMeta(actor);
+  const account = { title: meta.name, photo: meta.photo, siteUrl: meta.url };
+
+  try {
+    await fetchJson(actor.outbox);
+    return { ...account, url: actor.outbox, type: "activitypub" };
+  } catch {
+    return {
+      ...account,
+      url: `${(meta.url || url).replace(/\/$/, "")}.rss`,
+      type: "rss",
+    };
+  }
+}
+
+/**
+ * Whether an activity or object is addressed to the public
+ * @param {object} activity - Activity or object
+ * @returns {boolean} Whether it is public
+ */
+function isPublic(activity) {
+  const audience = [activity.to, activity.cc].flat().filter(Boolean);
+  return audience.some((address) => PUBLIC_ADDRESSES.has(address));
+}
+
+/**
+ * Normalize one outbox activity to a jf2 item
+ * @param {object} activity - Create or Announce activity
+ * @param {string} feedUrl - Feed URL
+ * @param {object} [author] - Actor details
+ * @returns {object|undefined} jf2 item
+ */
+export function normalizeActivity(activity, feedUrl, author) {
+  if (!activity || typeof activity !== "object" || !isPublic(activity)) {
+    return;
+  }
+
+  const _source = {
+    url: feedUrl,
+    feedUrl,
+    feedType: "activitypub",
+    originalId: activity.id,
+  };
+  const card = author?.name
+    ? { type: "card", name: author.name, url: author.url, photo: author.photo }
+    : undefined;
+
+  // Boost
+  if (activity.type === "Announce") {
+    const boosted =
+      typeof activity.object === "string"
+        ? activity.object
+        : linkUrl(activity.object?.url) || activity.object?.id;
+    if (!boosted) {
+      return;
+    }
+
+    return {
+      type: "entry",
+      uid: generateItemUid(feedUrl, activity.id || boosted),
+      url: boosted,
+      published: toISOStringSafe(activity.published),
+      author: card,
+      "repost-of": [boosted],
+      _source,
+    };
+  }
+
+  const object = activity.object;
+  if (activity.type !== "Create" || !object || typeof object !== "object") {
+    return;
+  }
+
+  const item = {
+    type: "entry",
+    uid: generateItemUid(feedUrl, object.id || activity.id),
+    url: linkUrl(object.url) || object.id,
+    name: object.name
+      ? sanitizeHtml(object.name, { allowedTags: [] }).trim()
+      : undefined,
+    published: toISOStringSafe(object.published || activity.published),
+    updated: toISOStringSafe(object.updated),
+    author: card,
+    _source,
+  };
+
+  if (object.content) {
+    item.content = {
+      html: sanitizeHtml(object.content, SANITIZE_OPTIONS),
+      text: sanitizeHtml(object.content, { allowedTags: [] }).trim(),
+    };
+  }
+
+  // Content warning
+  if (object.summary) {
+    item.summary = sanitizeHtml(object.summary, { allowedTags: [] }).trim();
+  }
+
+  const inReplyTo = linkUrl(object.inReplyTo);
+  if (inReplyTo) {
+    item["in-reply-to"] = [inReplyTo];
+  }
+
+  for (const attachment of [object.attachment].flat().filter(Boolean)) {
+    const mediaUrl = linkUrl(attachment.url);
+    const mediaType = attachment.mediaType || "";
+    const property = mediaType.startsWith("image/")
+      ? "photo"
+      : mediaType.startsWith("video/")
+        ? "video"
+        : mediaType.startsWith("audio/")
+          ? "audio"
+          : undefined;
+    if (mediaUrl && property) {
+      item[property] = [...(item[property] || []), mediaUrl];
+    }
+  }
+
+  const hashtags = [object.tag]
+    .flat()
+    .filter((tag) => tag?.type === "Hashtag" && tag.name)
+    .map((tag) => tag.name.replace(/^#/, ""));
+  if (hashtags.length > 0) {
+    item.category = hashtags;
+  }
+
+  return item;
+}
+
+/**
+ * Normalize an outbox page
+ * @param {object} page - OrderedCollectionPage (or collection with items)
+ * @param {string} feedUrl - Feed URL
+ * @param {object} [author] - Actor details
+ * @returns {object} Parsed feed
+ */
+export function parseOutboxPage(page, feedUrl, author) {
+  const items = (page.orderedItems || page.items || [])
+    .map((activity) => normalizeActivity(activity, feedUrl, author))
+    .filter(Boolean);
+
+  return {
+    type: "feed",
+    url: author?.url,
+    name: author?.name,
+    photo: author?.photo,
+    items,
+    // Older activities, used for backfill
+    _next: linkUrl(page.next),
+  };
+}
+
+/**
+ * Whether an ActivityPub document is an outbox collection or page
+ * @param {object} document - ActivityPub document
+ * @returns {boolean} Whether it is a collection
+ */
+export function isActivityCollection(document) {
+  return /Collection/.test([document?.type].flat().join(" "));
+}
+
+/**
+ * Parse an outbox (or one of its pages) into a feed. Collections only link
+ * their pages, so the first page, holding the newest activities, is fetched.
+ * @param {object} document - Outbox collection or page
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<object>} Parsed feed
+ */
+export async function parseOutbox(document, feedUrl) {
+  let page = document;
+  if (!page.orderedItems && !page.items && page.first) {
+    page =
+      typeof page.first === "string" ? await fetchJson(page.first) : page.first;
+  }
+
+  const activities = page.orderedItems || page.items || [];
+  const actorUrl = activities.find(
+    (activity) => typeof activity?.actor === "string",
+  )?.actor;
+  const author = actorUrl ? await getActor(actorUrl) : undefined;
+
+  return parseOutboxPage(page, feedUrl, author);
+}
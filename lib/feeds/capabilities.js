@@ -19,6 +19,11 @@ const FEDIVERSE_PATTERNS = [
   "fediverse",
 ];
 
+/**
+ * ActivityPub outbox paths (followed fediverse accounts on any instance)
+ */
+const OUTBOX_PATTERN = /\/users\/[^/]+\/outbox/;
+
 /**
  * Detect the capabilities of a feed source
  * @param {string} feedUrl - The feed URL
@@ -89,7 +94,10 @@ function matchPlatform(url) {
   }
 
   // Mastodon / Fediverse RSS (e.g., mastodon.social/@user.rss)
-  if (FEDIVERSE_PATTERNS.some((pattern) => lower.includes(pattern))) {
+  if (
+    FEDIVERSE_PATTERNS.some((pattern) => lower.includes(pattern)) ||
+    OUTBOX_PATTERN.test(lower)
+  ) {
     return {
       type: "mastodon",
       api: { type: "activitypub", authed: false },
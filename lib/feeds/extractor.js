@@ -0,0 +1,315 @@
+/**
+ * Full-article extraction for feeds that only publish teasers. Pages are
+ * fetched through the feed fetcher (same SSRF checks), spaced out per host,
+ * and cached in memory so the same article is fetched at most once per TTL.
+ * @module feeds/extractor
+ */
+
+import { mf2 } from "microformats-parser";
+
+import { getHostKey } from "../polling/host-pool.js";
+
+import { fetchFeed } from "./fetcher.js";
+import { SANITIZE_OPTIONS, sanitizeHtml } from "./normalizer.js";
+
+const TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const HOST_INTERVAL = 2000; // Min ms between article fetches per host
+const FETCH_TIMEOUT = 15_000;
+const MIN_ARTICLE_LENGTH = 250; // Shorter extractions are likely boilerplate
+
+const NOISE_PATTERN =
+  /<(script|style|noscript|template|svg|iframe|nav|header|footer|aside|form)\b[\s\S]*?<\/\1\s*>/gi;
+const TAG_PATTERN = /<(\/?)([a-z][\da-z]*)\b([^>]*)>/gi;
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+const CONTAINER_TAGS = new Set(["article", "div", "main", "section", "td"]);
+const PARAGRAPH_TAGS = new Set(["blockquote", "p", "pre"]);
+const POSITIVE_PATTERN =
+  /article|body|content|entry|main|page|post|story|text|e-content/i;
+const NEGATIVE_PATTERN =
+  /comment|meta|footer|sidebar|share|social|related|promo|widget|nav|menu|banner|ad-|sponsor/i;
+
+/** @type {Map<string, { promise: Promise<object|undefined>, fetchedAt: number }>} */
+const cache = new Map();
+
+/** @type {Map<string, number>} Next free fetch slot per host */
+const hostSlots = new Map();
+
+/**
+ * Fetch an article page and extract its main content, cached
+ * @param {string} url - Article URL
+ * @param {object} [options] - Options
+ * @param {boolean} [options.refresh] - Skip the cache (e.g. after an edit)
+ * @returns {Promise<object|undefined>} `{ html, text }`, or undefined when
+ *   nothing usable was found
+ */
+export async function fetchFullContent(url, options = {}) {
+  const now = Date.now();
+  const hit = cache.get(url);
+  if (hit && !options.refresh && now - hit.fetchedAt < TTL) {
+    return hit.promise;
+  }
+
+  // ponytail: crude full-clear eviction, as in source-meta
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+
+  const promise = fetchArticle(url).catch((error) => {
+    // Failures are cached too, so a broken page isn't refetched every poll
+    console.warn(`[Microsub] Full content fetch failed for ${url}:`, error.message);
+  });
+
+  cache.set(url, { promise, fetchedAt: now });
+  return promise;
+}
+
+/**
+ * Wait for this host's next free fetch slot
+ * @param {string} url - URL to be fetched
+ * @returns {Promise<void>}
+ */
+async function waitForHost(url) {
+  const host = getHostKey(url);
+  const now = Date.now();
+
+  if (hostSlots.size >= MAX_CACHE_ENTRIES) {
+    for (const [key, slot] of hostSlots) {
+      if (slot < now) hostSlots.delete(key);
+    }
+  }
+
+  // Reserve the slot before waiting, so concurrent callers queue up
+  const slot = Math.max(now, hostSlots.get(host) || 0);
+  hostSlots.set(host, slot + HOST_INTERVAL);
+
+  if (slot > now) {
+    await new Promise((resolve) => setTimeout(resolve, slot - now));
+  }
+}
+
+/**
+ * Fetch an article page and extract its content
+ * @param {string} url - Article URL
+ * @returns {Promise<object|undefined>} `{ html, text }`
+ */
+async function fetchArticle(url) {
+  await waitForHost(url);
+
+  const result = await fetchFeed(url, { timeout: FETCH_TIMEOUT });
+  if (!/html/i.test(result.contentType)) {
+    return;
+  }
+
+  return extractArticle(result.content, url);
+}
+
+/**
+ * Extract the main article from an HTML page. An h-entry's `e-content` is
+ * used when the page has one; otherwise containers are scored by the
+ * paragraph text they hold, Readability-style, and the best one wins.
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL (for resolving relative links)
+ * @returns {object|undefined} Sanitized `{ html, text }`
+ */
+export function extractArticle(html, pageUrl) {
+  if (!html) {
+    return;
+  }
+
+  const articleHtml =
+    findEntryContent(html, pageUrl) || findBestCandidate(html);
+  if (!articleHtml) {
+    return;
+  }
+
+  const sanitized = sanitizeHtml(articleHtml, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: resolveAttribute(attribs, "href", pageUrl),
+      }),
+      img: (tagName, attribs) => ({
+        tagName,
+        // Lazy-loaded images keep the real URL in data-src
+        attribs: resolveAttribute(
+          { ...attribs, src: attribs.src || attribs["data-src"] },
+          "src",
+          pageUrl,
+        ),
+      }),
+    },
+  }).trim();
+  const text = sanitizeHtml(sanitized, { allowedTags: [] })
+    .replaceAll(/\s+/g, " ")
+    .trim();
+
+  if (text.length < MIN_ARTICLE_LENGTH) {
+    return;
+  }
+
+  return { html: sanitized, text };
+}
+
+/**
+ * Resolve a URL attribute against the page URL
+ * @param {object} attribs - Tag attributes
+ * @param {string} name - Attribute name
+ * @param {string} pageUrl - Page URL
+ * @returns {object} Attributes with the URL made absolute
+ */
+function resolveAttribute(attribs, name, pageUrl) {
+  if (!attribs[name]) {
+    return attribs;
+  }
+
+  try {
+    return { ...attribs, [name]: new URL(attribs[name], pageUrl).href };
+  } catch {
+    return attribs;
+  }
+}
+
+/**
+ * Get the `e-content` of the page's first h-entry
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {string|undefined} Content HTML
+ */
+function findEntryContent(html, pageUrl) {
+  let parsed;
+  try {
+    parsed = mf2(html, { baseUrl: pageUrl });
+  } catch {
+    return;
+  }
+
+  const items = parsed.items.flatMap((item) =>
+    item.type.includes("h-feed") ? item.children || [] : [item],
+  );
+  const entry = items.find((item) => item.type.includes("h-entry"));
+  const content = entry?.properties.content?.[0];
+
+  return typeof content === "object" ? content.html : undefined;
+}
+
+/**
+ * Strip tags from an HTML fragment for scoring
+ * @param {string} html - HTML fragment
+ * @returns {string} Collapsed text
+ */
+function toText(html) {
+  return html
+    .replaceAll(/<[^>]+>/g, " ")
+    .replaceAll(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Weight a container by its class and id names
+ * @param {string} attrs - Raw attribute string of the opening tag
+ * @returns {number} Score multiplier
+ */
+function getClassWeight(attrs) {
+  const names = [...attrs.matchAll(/\b(?:class|id)\s*=\s*["']([^"']*)["']/gi)]
+    .map((match) => match[1])
+    .join(" ");
+
+  let weight = 1;
+  if (POSITIVE_PATTERN.test(names)) weight += 0.25;
+  if (NEGATIVE_PATTERN.test(names)) weight -= 0.5;
+  return weight;
+}
+
+/**
+ * Share of a fragment's text that sits inside links
+ * @param {string} html - HTML fragment
+ * @returns {number} Link density between 0 and 1
+ */
+function getLinkDensity(html) {
+  const textLength = toText(html).length;
+  if (textLength === 0) {
+    return 1;
+  }
+
+  const linkLength = [...html.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+    .map((match) => toText(match[1]).length)
+    .reduce((sum, length) => sum + length, 0);
+
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Score containers by the paragraphs they hold and return the best one's
+ * inner HTML. Each paragraph scores for its nearest container and half
+ * for the one above it, so the article body beats the page wrapper.
+ * @param {string} html - Page HTML
+ * @returns {string|undefined} Inner HTML of the best container
+ */
+function findBestCandidate(html) {
+  const cleaned = html
+    .replaceAll(/<!--[\s\S]*?-->/g, "")
+    .replaceAll(NOISE_PATTERN, "");
+
+  const stack = [];
+  let best;
+
+  for (const match of cleaned.matchAll(TAG_PATTERN)) {
+    const [token, closing, rawTag, attrs] = match;
+    const tag = rawTag.toLowerCase();
+    if (VOID_TAGS.has(tag) || attrs.endsWith("/")) {
+      continue;
+    }
+
+    if (!closing) {
+      stack.push({ tag, attrs, start: match.index + token.length, score: 0 });
+      continue;
+    }
+
+    // Tolerate unclosed children: close everything above the match
+    const openIndex = stack.findLastIndex((frame) => frame.tag === tag);
+    if (openIndex === -1) {
+      continue;
+    }
+    const [frame] = stack.splice(openIndex);
+    const inner = cleaned.slice(frame.start, match.index);
+
+    if (PARAGRAPH_TAGS.has(tag)) {
+      const text = toText(inner);
+      if (text.length < 25) {
+        continue;
+      }
+
+      const points =
+        1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+      const [parent, grandparent] = stack
+        .filter((ancestor) => CONTAINER_TAGS.has(ancestor.tag))
+        .reverse();
+      if (parent) parent.score += points;
+      if (grandparent) grandparent.score += points / 2;
+    } else if (CONTAINER_TAGS.has(tag) && frame.score > 0) {
+      const score =
+        frame.score * getClassWeight(frame.attrs) * (1 - getLinkDensity(inner));
+      if (!best || score > best.score) {
+        best = { score, html: inner };
+      }
+    }
+  }
+
+  return best?.html;
+}
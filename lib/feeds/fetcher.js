@@ -3,10 +3,17 @@
  * @module feeds/fetcher
  */
 
+import crypto from "node:crypto";
+
 import { isPrivateUrl } from "../media/proxy.js";
 
 const DEFAULT_TIMEOUT = 30_000; // 30 seconds
 const DEFAULT_USER_AGENT = "Indiekit Microsub/1.0 (+https://getindiekit.com)";
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const PERMANENT_REDIRECT_STATUSES = new Set([301, 308]);
+const FEED_ACCEPT =
+  "application/atom+xml, application/rss+xml, application/json, application/feed+json, text/xml, text/html;q=0.9, */*;q=0.8";
 
 /**
  * Fetch feed content with caching
@@ -15,10 +22,18 @@ const DEFAULT_USER_AGENT = "Indiekit Microsub/1.0 (+https://getindiekit.com)";
  * @param {string} [options.etag] - Previous ETag for conditional request
  * @param {string} [options.lastModified] - Previous Last-Modified for conditional request
  * @param {number} [options.timeout] - Request timeout in ms
- * @returns {Promise<object>} Fetch result with content and headers
+ * @param {string} [options.accept] - Accept header, if not a feed
+ * @returns {Promise<object>} Fetch result with content and headers.
+ *   `permanentRedirect` is set when the URL was reached only through
+ *   301/308 redirects, and holds the last permanently redirected URL.
  */
 export async function fetchFeed(url, options = {}) {
-  const { etag, lastModified, timeout = DEFAULT_TIMEOUT } = options;
+  const {
+    etag,
+    lastModified,
+    timeout = DEFAULT_TIMEOUT,
+    accept = FEED_ACCEPT,
+  } = options;
 
   // SSRF protection — block private/internal IPs (including DNS rebinding)
   if (await isPrivateUrl(url)) {
@@ -26,8 +41,7 @@ export async function fetchFeed(url, options = {}) {
   }
 
   const headers = {
-    Accept:
-      "application/atom+xml, application/rss+xml, application/json, application/feed+json, text/xml, text/html;q=0.9, */*;q=0.8",
+    Accept: accept,
     "User-Agent": DEFAULT_USER_AGENT,
   };
 
@@ -43,11 +57,44 @@ export async function fetchFeed(url, options = {}) {
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
-    const response = await fetch(url, {
-      headers,
-      signal: controller.signal,
-      redirect: "follow",
-    });
+    // Follow redirects by hand so permanent moves can be reported, and so
+    // every hop gets the same SSRF check as the original URL
+    let currentUrl = url;
+    let permanentRedirect;
+    let isPermanent = true;
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(currentUrl, {
+        headers,
+        signal: controller.signal,
+        redirect: "manual",
+      });
+
+      const location = response.headers.get("Location");
+      if (!REDIRECT_STATUSES.has(response.status) || !location) {
+        break;
+      }
+
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${url}`);
+      }
+
+      await response.body?.cancel();
+      const nextUrl = new URL(location, currentUrl).href;
+
+      if (await isPrivateUrl(nextUrl)) {
+        throw new Error(
+          `Feed URL blocked (private/internal address): ${nextUrl}`,
+        );
+      }
+
+      isPermanent &&= PERMANENT_REDIRECT_STATUSES.has(response.status);
+      if (isPermanent) {
+        permanentRedirect = nextUrl;
+      }
+      currentUrl = nextUrl;
+    }
 
     clearTimeout(timeoutId);
 
@@ -60,11 +107,23 @@ export async function fetchFeed(url, options = {}) {
         lastModified,
         notModified: true,
         status: 304,
+        cacheHints: getCacheHints(response.headers),
+        permanentRedirect,
       };
     }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(
+        `HTTP ${response.status}: ${response.statusText}`,
+      );
+      error.status = response.status;
+      // 429 Too Many Requests / 503 Service Unavailable: back off as asked
+      if (response.status === 429 || response.status === 503) {
+        error.retryAfter = parseRetryAfter(
+          response.headers.get("Retry-After"),
+        );
+      }
+      throw error;
     }
 
     const content = await response.text();
@@ -79,6 +138,9 @@ export async function fetchFeed(url, options = {}) {
       lastModified: responseLastModified,
       fromCache: false,
       status: response.status,
+      cacheHints: getCacheHints(response.headers),
+      permanentRedirect,
+      contentHash: crypto.createHash("sha256").update(content).digest("hex"),
     };
 
     // Extract hub URL from Link header for WebSub
@@ -100,6 +162,52 @@ export async function fetchFeed(url, options = {}) {
   }
 }
 
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} Delay in seconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number.parseInt(value, 10);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.round((date - Date.now()) / 1000));
+  }
+}
+
+/**
+ * Get HTTP caching hints from response headers
+ * @param {Headers} headers - Response headers
+ * @returns {object|undefined} Hints: `maxAge` in seconds and/or `expires`
+ */
+function getCacheHints(headers) {
+  const cacheControl = headers.get("Cache-Control") || "";
+
+  // no-cache/no-store say nothing about how long content stays fresh
+  if (/no-cache|no-store/i.test(cacheControl)) {
+    return;
+  }
+
+  const maxAgeMatch = cacheControl.match(/(?:^|[,\s])max-age=(\d+)/i);
+  if (maxAgeMatch) {
+    const age = Number.parseInt(headers.get("Age"), 10) || 0;
+    return { maxAge: Math.max(0, Number.parseInt(maxAgeMatch[1], 10) - age) };
+  }
+
+  // Expires is ignored when max-age is present
+  const expires = Date.parse(headers.get("Expires"));
+  if (!Number.isNaN(expires)) {
+    return { expires: new Date(expires) };
+  }
+}
+
 /**
  * Extract hub URL from Link header
  * @param {string} linkHeader - Link header value
@@ -124,6 +232,10 @@ function extractSelfFromLinkHeader(linkHeader) {
  * Fetch feed and parse it
  * @param {string} url - Feed URL
  * @param {object} options - Options
+ * @param {string} [options.sourceUrl] - URL items are attributed to (and
+ *   their UIDs derived from), if not the fetched URL
+ * @param {string} [options.contentHash] - Body hash from the previous fetch.
+ *   An identical body is treated like a 304 and not parsed.
  * @returns {Promise<object>} Parsed feed
  */
 export async function fetchAndParseFeed(url, options = {}) {
@@ -131,6 +243,15 @@ export async function fetchAndParseFeed(url, options = {}) {
 
   const result = await fetchFeed(url, options);
 
+  // Servers without ETag/Last-Modified: compare the body instead
+  if (
+    !result.notModified &&
+    options.contentHash &&
+    result.contentHash === options.contentHash
+  ) {
+    result.notModified = true;
+  }
+
   if (result.notModified) {
     return {
       ...result,
@@ -141,7 +262,23 @@ export async function fetchAndParseFeed(url, options = {}) {
   // Check if we got a parseable feed
   const feedType = detectFeedType(result.content, result.contentType);
 
-  // If we got ActivityPub or unknown, try common feed paths
+  // ActivityPub outboxes (followed fediverse accounts) are parsed directly
+  if (feedType === "activitypub") {
+    const { isActivityCollection, parseOutbox } = await import(
+      "./activitypub.js"
+    );
+    const document = JSON.parse(result.content);
+    if (isActivityCollection(document)) {
+      const parsed = await parseOutbox(document, options.sourceUrl || url);
+      return {
+        ...result,
+        ...parsed,
+        feedType,
+      };
+    }
+  }
+
+  // If we got an ActivityPub actor or unknown, try common feed paths
   if (feedType === "activitypub" || feedType === "unknown") {
     const fallbackFeed = await tryCommonFeedPaths(url, options);
     if (fallbackFeed) {
@@ -158,6 +295,8 @@ export async function fetchAndParseFeed(url, options = {}) {
           feedType: fallbackType,
           hub: feedResult.hub || parsed._hub,
           discoveredFrom: url,
+          // Redirects of the fallback URL say nothing about the feed URL
+          permanentRedirect: undefined,
         };
       }
     }
@@ -166,7 +305,7 @@ export async function fetchAndParseFeed(url, options = {}) {
     );
   }
 
-  const parsed = await parseFeed(result.content, url, {
+  const parsed = await parseFeed(result.content, options.sourceUrl || url, {
     contentType: result.contentType,
   });
 
@@ -227,6 +366,20 @@ async function tryCommonFeedPaths(baseUrl, options = {}) {
  * @returns {Promise<Array>} Array of discovered feeds
  */
 export async function discoverFeedsFromUrl(url, options = {}) {
+  // Fediverse profiles: the account's outbox (or .rss feed)
+  const { resolveFediverseProfile } = await import("./activitypub.js");
+  const profile = await resolveFediverseProfile(url);
+  if (profile) {
+    return [
+      {
+        url: profile.url,
+        type: profile.type,
+        rel: "alternate",
+        title: profile.title,
+      },
+    ];
+  }
+
   const result = await fetchFeed(url, options);
   const { discoverFeeds } = await import("./hfeed.js");
 
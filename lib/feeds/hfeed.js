@@ -35,12 +35,21 @@ export async function parseHfeed(content, feedUrl) {
       throw new Error("No h-feed or h-entry found on page");
     }
 
+    const items = entries.map((entry) => normalizeHfeedItem(entry, feedUrl));
+
+    // A single-entry page's rel=canonical is the entry's canonical URL
+    const canonical = parsed.rels?.canonical?.[0];
+    if (items.length === 1 && canonical && canonical !== items[0].url) {
+      items[0]._canonical = canonical;
+    }
+
     // Create synthetic feed from entries
     return {
       type: "feed",
       url: feedUrl,
-      name: parsed.rels?.canonical?.[0] || feedUrl,
-      items: entries.map((entry) => normalizeHfeedItem(entry, feedUrl)),
+      name: canonical || feedUrl,
+      items,
+      _next: parsed.rels?.next?.[0],
     };
   }
 
@@ -57,6 +66,8 @@ export async function parseHfeed(content, feedUrl) {
     url: feedUrl,
     ...normalizedMeta,
     items: normalizedItems,
+    // Older entries (rel=next pagination), used for backfill
+    _next: parsed.rels?.next?.[0],
   };
 }
 
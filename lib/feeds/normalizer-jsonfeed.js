@@ -103,6 +103,17 @@ export function normalizeJsonFeedItem(item, feedUrl) {
       } else if (mediaType.startsWith("audio/")) {
         normalized.audio = normalized.audio || [];
         normalized.audio.push(attachment.url);
+
+        // Podcast episode metadata (first audio attachment)
+        normalized._podcast ||= {
+          url: attachment.url,
+          type: mediaType,
+          length: attachment.size_in_bytes || undefined,
+          duration: attachment.duration_in_seconds
+            ? Math.round(attachment.duration_in_seconds)
+            : undefined,
+          image: item.image || undefined,
+        };
       }
     }
   }
@@ -167,5 +178,10 @@ export function normalizeJsonFeedMeta(feed, feedUrl) {
     normalized._hub = feed.hubs[0].url;
   }
 
+  // Older entries, used for backfill
+  if (feed.next_url) {
+    normalized._next = feed.next_url;
+  }
+
   return normalized;
 }
@@ -39,6 +39,13 @@ export function normalizeItem(item, feedUrl, feedType) {
     },
   };
 
+  // Canonical article URL, when the feed links one separately (FeedBurner
+  // origLink or an Atom rel="canonical" link); used for duplicate detection
+  const canonical = item.origlink || findCanonicalLink(item["atom:link"]);
+  if (canonical && canonical !== url) {
+    normalized._canonical = canonical;
+  }
+
   // Content
   if (item.description || item.summary) {
     const html = item.description || item.summary;
@@ -99,6 +106,12 @@ export function normalizeItem(item, feedUrl, feedType) {
     }
   }
 
+  // Podcast episode metadata
+  const podcast = extractPodcast(item);
+  if (podcast) {
+    normalized._podcast = podcast;
+  }
+
   // Featured image from media content
   if (item["media:content"] && item["media:content"].url) {
     const mediaType = item["media:content"].type || "";
@@ -132,6 +145,120 @@ export function normalizeItem(item, feedUrl, feedType) {
   return normalized;
 }
 
+/**
+ * Parse an `itunes:duration` value (seconds, MM:SS or HH:MM:SS)
+ * @param {string} [value] - Duration
+ * @returns {number|undefined} Duration in seconds
+ */
+export function parseDuration(value) {
+  if (!value || !/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(value)) {
+    return;
+  }
+
+  const seconds = value
+    .split(":")
+    .reduce((total, part) => total * 60 + Number.parseFloat(part), 0);
+  return seconds > 0 ? Math.round(seconds) : undefined;
+}
+
+/**
+ * Get an attribute of a feedparser element (first one, if repeated)
+ * @param {object|Array|undefined} element - Feedparser element
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Attribute value
+ */
+function attributeValue(element, name) {
+  const node = Array.isArray(element) ? element[0] : element;
+  return node?.["@"]?.[name] || undefined;
+}
+
+/**
+ * Extract podcast episode metadata from an item with an audio enclosure:
+ * enclosure size and type, iTunes duration, image and episode/season
+ * numbers, and Podcasting 2.0 chapters and transcripts
+ * @param {object} item - Feedparser item
+ * @returns {object|undefined} Podcast metadata
+ */
+export function extractPodcast(item) {
+  const enclosure = item.enclosures?.find(
+    (candidate) => candidate.url && candidate.type?.startsWith("audio/"),
+  );
+  if (!enclosure) {
+    return;
+  }
+
+  const podcast = { url: enclosure.url, type: enclosure.type };
+
+  const length = Number.parseInt(enclosure.length, 10);
+  if (length > 0) {
+    podcast.length = length;
+  }
+
+  const [duration] = elementValues(item["itunes:duration"]);
+  const seconds = parseDuration(duration);
+  if (seconds) {
+    podcast.duration = seconds;
+  }
+
+  const image = attributeValue(item["itunes:image"], "href");
+  if (image) {
+    podcast.image = image;
+  }
+
+  const [episode] = elementValues(
+    item["itunes:episode"] || item["podcast:episode"],
+  );
+  if (Number.parseInt(episode, 10) > 0) {
+    podcast.episode = Number.parseInt(episode, 10);
+  }
+
+  const [season] = elementValues(
+    item["itunes:season"] || item["podcast:season"],
+  );
+  if (Number.parseInt(season, 10) > 0) {
+    podcast.season = Number.parseInt(season, 10);
+  }
+
+  const chaptersUrl = attributeValue(item["podcast:chapters"], "url");
+  if (chaptersUrl) {
+    podcast.chapters = {
+      url: chaptersUrl,
+      type: attributeValue(item["podcast:chapters"], "type"),
+    };
+  }
+
+  const transcripts = [item["podcast:transcript"] || []]
+    .flat()
+    .filter((node) => node["@"]?.url)
+    .map((node) => ({
+      url: node["@"].url,
+      type: node["@"].type,
+      language: node["@"].language,
+    }));
+  if (transcripts.length > 0) {
+    podcast.transcripts = transcripts;
+  }
+
+  return podcast;
+}
+
+/**
+ * Find a rel="canonical" link among an item's raw Atom links
+ * @param {object|Array|undefined} links - Feedparser `atom:link` element(s)
+ * @returns {string|undefined} Canonical URL
+ */
+function findCanonicalLink(links) {
+  if (!links) {
+    return;
+  }
+
+  for (const link of Array.isArray(links) ? links : [links]) {
+    if (link["@"]?.rel === "canonical" && link["@"].href) {
+      return link["@"].href;
+    }
+  }
+}
+
 /**
  * Normalize feed metadata from feedparser
  * @param {object} meta - Feedparser meta object
@@ -187,5 +314,92 @@ export function normalizeFeedMeta(meta, feedUrl) {
     }
   }
 
+  // Older entries (RFC 5005 paged or archived feeds), used for backfill
+  const nextPage = findPagingLink(meta["atom:link"]);
+  if (nextPage) {
+    normalized._next = nextPage;
+  }
+
+  // Publisher polling hints (RSS <ttl>, <skipHours>, <skipDays>, sy:*)
+  const schedule = extractScheduleHints(meta);
+  if (schedule) {
+    normalized._schedule = schedule;
+  }
+
   return normalized;
 }
+
+/**
+ * Find the link to older entries among a feed's raw Atom links: `next` for
+ * paged feeds, `prev-archive` for archived feeds (RFC 5005)
+ * @param {object|Array|undefined} links - Feedparser `atom:link` element(s)
+ * @returns {string|undefined} URL of the next page of older entries
+ */
+function findPagingLink(links) {
+  if (!links) {
+    return;
+  }
+
+  const hrefs = {};
+  for (const link of Array.isArray(links) ? links : [links]) {
+    const rel = link["@"]?.rel;
+    if (rel && link["@"].href && !hrefs[rel]) {
+      hrefs[rel] = link["@"].href;
+    }
+  }
+
+  return hrefs.next || hrefs["prev-archive"];
+}
+
+/**
+ * Get the text values of a feedparser element (single or repeated)
+ * @param {object|Array|undefined} element - Feedparser element
+ * @returns {Array<string>} Text values
+ */
+function elementValues(element) {
+  if (!element) {
+    return [];
+  }
+
+  const elements = Array.isArray(element) ? element : [element];
+  return elements
+    .map((node) => (typeof node === "object" ? node["#"] : node))
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) => value.trim());
+}
+
+/**
+ * Extract publisher polling hints from feed metadata
+ * @param {object} meta - Feedparser meta
+ * @returns {object|undefined} Schedule hints (ttl in minutes, skipHours,
+ *   skipDays, updatePeriod, updateFrequency)
+ */
+function extractScheduleHints(meta) {
+  const schedule = {};
+
+  const [ttl] = elementValues(meta["rss:ttl"]);
+  if (Number.parseInt(ttl, 10) > 0) {
+    schedule.ttl = Number.parseInt(ttl, 10);
+  }
+
+  const skipHours = elementValues(meta["rss:skiphours"]?.hour)
+    .map((hour) => Number.parseInt(hour, 10))
+    .filter((hour) => hour >= 0 && hour <= 23);
+  if (skipHours.length > 0) {
+    schedule.skipHours = skipHours;
+  }
+
+  const skipDays = elementValues(meta["rss:skipdays"]?.day);
+  if (skipDays.length > 0) {
+    schedule.skipDays = skipDays;
+  }
+
+  const [updatePeriod] = elementValues(meta["syn:updateperiod"]);
+  if (updatePeriod) {
+    schedule.updatePeriod = updatePeriod.toLowerCase();
+    const [frequency] = elementValues(meta["syn:updatefrequency"]);
+    schedule.updateFrequency = Number.parseInt(frequency, 10) || 1;
+  }
+
+  return Object.keys(schedule).length > 0 ? schedule : undefined;
+}
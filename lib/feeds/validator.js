@@ -3,13 +3,14 @@
  * @module feeds/validator
  */
 
+import { isActivityCollection } from "./activitypub.js";
 import { fetchFeed } from "./fetcher.js";
 import { detectFeedType } from "./parser.js";
 
 /**
  * Feed types that are valid subscriptions
  */
-const VALID_FEED_TYPES = ["rss", "atom", "jsonfeed", "hfeed"];
+const VALID_FEED_TYPES = ["rss", "atom", "jsonfeed", "hfeed", "activitypub"];
 
 /**
  * Patterns that indicate a comments feed (not a main feed)
@@ -43,7 +44,12 @@ export async function validateFeedUrl(url) {
 
     const feedType = detectFeedType(result.content, result.contentType);
 
-    if (feedType === "activitypub") {
+    // Outboxes of fediverse accounts are followable; other ActivityPub
+    // documents (actors, posts) are not
+    if (
+      feedType === "activitypub" &&
+      !isActivityCollection(JSON.parse(result.content))
+    ) {
       return {
         valid: false,
         error:
@@ -87,6 +93,10 @@ export async function validateFeedUrl(url) {
  * @returns {string|undefined} Feed title
  */
 function extractFeedTitle(content, feedType) {
+  if (feedType === "activitypub") {
+    return undefined;
+  }
+
   if (feedType === "jsonfeed") {
     try {
       const json = JSON.parse(content);
@@ -194,6 +194,14 @@ export function proxyItemImages(item, baseUrl) {
     };
   }
 
+  // Proxy podcast cover art
+  if (proxied._podcast?.image) {
+    proxied._podcast = {
+      ...proxied._podcast,
+      image: getProxiedUrl(baseUrl, proxied._podcast.image),
+    };
+  }
+
   return proxied;
 }
 
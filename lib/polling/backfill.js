@@ -0,0 +1,173 @@
+/**
+ * Historical backfill through paged and archived feeds
+ * @module polling/backfill
+ */
+
+import { fetchAndParseFeed } from "../feeds/fetcher.js";
+import {
+  claimFeedForBackfill,
+  getItemSourceUrl,
+  setFeedBackfill,
+} from "../storage/feeds.js";
+
+import { storeParsedItems } from "./processor.js";
+
+const DEFAULT_DEPTH = 10; // Pages of older entries to walk
+const MAX_DEPTH = 50;
+const PAGES_PER_RUN = 5; // Pages fetched per scheduler cycle
+const PAGE_INTERVAL = 1000; // Min ms between page requests
+const LOCK_DURATION = 10 * 60 * 1000;
+
+/**
+ * Parse a requested backfill depth
+ * @param {string|number|boolean} [value] - Requested depth (`true` or a
+ *   non-numeric value means the default)
+ * @returns {number} Depth between 1 and MAX_DEPTH
+ */
+export function parseBackfillDepth(value) {
+  const depth = Number.parseInt(value, 10);
+  if (!depth || depth < 1) {
+    return DEFAULT_DEPTH;
+  }
+
+  return Math.min(depth, MAX_DEPTH);
+}
+
+/**
+ * Queue a backfill job for a feed, replacing any earlier job
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {number} [depth] - Pages of older entries to walk
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function queueBackfill(application, feed, depth = DEFAULT_DEPTH) {
+  return setFeedBackfill(application, feed._id, {
+    state: "queued",
+    depth,
+    pages: 0,
+    itemsAdded: 0,
+    nextUrl: undefined,
+    visited: [],
+    error: undefined,
+    requestedAt: new Date(),
+    finishedAt: undefined,
+    lockedBy: undefined,
+    lockedUntil: undefined,
+  });
+}
+
+/**
+ * Claim and advance one queued or interrupted backfill job. Progress is
+ * saved after every page, so a job picks up where it stopped after a
+ * restart; each call fetches at most PAGES_PER_RUN pages.
+ * @param {object} application - Indiekit application
+ * @param {object} options - Options
+ * @param {string} options.instanceId - ID of the claiming scheduler
+ * @returns {Promise<object|undefined>} Job state after this run
+ */
+export async function runBackfills(application, { instanceId }) {
+  const feed = await claimFeedForBackfill(application, {
+    instanceId,
+    lockDuration: LOCK_DURATION,
+  });
+  if (!feed) {
+    return;
+  }
+
+  return runBackfillJob(application, feed);
+}
+
+/**
+ * Resolve a pagination link against the page it came from
+ * @param {string} [link] - Link URL
+ * @param {string} pageUrl - Page URL
+ * @returns {string|undefined} Absolute URL
+ */
+function resolvePageUrl(link, pageUrl) {
+  if (!link) {
+    return;
+  }
+
+  try {
+    return new URL(link, pageUrl).href;
+  } catch {
+    return;
+  }
+}
+
+/**
+ * Fetch the next pages of a claimed backfill job
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document with `backfill` state
+ * @returns {Promise<object>} Job state after this run
+ */
+export async function runBackfillJob(application, feed) {
+  const job = feed.backfill;
+  const sourceUrl = getItemSourceUrl(feed);
+  const visited = new Set(job.visited);
+  let { pages = 0, itemsAdded = 0, nextUrl } = job;
+
+  try {
+    // First run: the current page is stored by polling; older entries
+    // start at its pagination link
+    if (!nextUrl && pages === 0) {
+      const first = await fetchAndParseFeed(feed.url, { sourceUrl });
+      visited.add(feed.url);
+      nextUrl = resolvePageUrl(first._next, feed.url);
+    }
+
+    for (let run = 0; run < PAGES_PER_RUN; run++) {
+      if (!nextUrl || pages >= job.depth || visited.has(nextUrl)) {
+        nextUrl = undefined;
+        break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, PAGE_INTERVAL));
+
+      const pageUrl = nextUrl;
+      const parsed = await fetchAndParseFeed(pageUrl, { sourceUrl });
+      visited.add(pageUrl);
+
+      // Stored as read so old posts don't flood the unread count
+      itemsAdded += await storeParsedItems(application, feed, parsed, {
+        markRead: true,
+      });
+      pages++;
+      nextUrl = resolvePageUrl(parsed._next, pageUrl);
+
+      await setFeedBackfill(application, feed._id, {
+        pages,
+        itemsAdded,
+        nextUrl,
+        visited: [...visited],
+      });
+    }
+
+    const isDone = !nextUrl || pages >= job.depth;
+    if (isDone) {
+      console.info(
+        `[Microsub] Backfill of ${feed.url} finished: ${pages} pages, ${itemsAdded} items`,
+      );
+    }
+
+    const updated = await setFeedBackfill(application, feed._id, {
+      state: isDone ? "done" : "running",
+      nextUrl: isDone ? undefined : nextUrl,
+      finishedAt: isDone ? new Date() : undefined,
+      lockedBy: undefined,
+      lockedUntil: undefined,
+    });
+    return updated?.backfill;
+  } catch (error) {
+    console.error(`[Microsub] Backfill of ${feed.url} failed:`, error.message);
+
+    const updated = await setFeedBackfill(application, feed._id, {
+      state: "failed",
+      error: error.message,
+      finishedAt: new Date(),
+      lockedBy: undefined,
+      lockedUntil: undefined,
+    });
+    return updated?.backfill;
+  }
+}
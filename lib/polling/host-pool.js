@@ -0,0 +1,164 @@
+/**
+ * Rolling worker pool with per-host politeness limits
+ * @module polling/host-pool
+ */
+
+// Hosting platforms serving many users' sites from subdomains of one
+// domain. Telling a registrable domain from a public suffix in general needs
+// the public suffix list, so other hosts are keyed by their full hostname.
+const SHARED_HOSTS = [
+  "blogspot.com",
+  "bearblog.dev",
+  "ghost.io",
+  "github.io",
+  "medium.com",
+  "micro.blog",
+  "substack.com",
+  "tumblr.com",
+  "wordpress.com",
+  "write.as",
+];
+
+/**
+ * Get the politeness key for a URL: its hostname, or the platform domain for
+ * sites on a shared host (`alice.micro.blog` and `bob.micro.blog` are both
+ * `micro.blog`)
+ * @param {string} url - URL
+ * @returns {string} Host key
+ */
+export function getHostKey(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return url;
+  }
+
+  const shared = SHARED_HOSTS.find(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`),
+  );
+  return shared || hostname;
+}
+
+/**
+ * Run a worker over items with a global concurrency cap, a per-host cap and
+ * a minimum delay between starts on the same host. Workers pick up the next
+ * eligible item as soon as a slot frees up, so a slow host only holds its
+ * own slots.
+ * @param {Array} items - Items to process
+ * @param {(item: any) => Promise<any>} worker - Worker (should not reject;
+ *   a rejection is recorded as a failed result,
+ *   `{ success: false, itemsAdded: 0, error }`)
+ * @param {object} options - Pool options
+ * @param {(item: any) => string} options.getHost - Host key for an item
+ * @param {number} [options.concurrency] - Maximum items in flight
+ * @param {number} [options.perHost] - Maximum items in flight per host
+ * @param {number} [options.hostInterval] - Minimum ms between starts per host
+ * @returns {Promise<Array>} Results in item order
+ */
+export function runWithHostLimits(items, worker, options) {
+  const {
+    getHost,
+    concurrency = 5,
+    perHost = 2,
+    hostInterval = 1000,
+  } = options;
+
+  return new Promise((resolve) => {
+    const results = Array.from({ length: items.length });
+    const pending = items.map((item, index) => ({
+      item,
+      index,
+      host: getHost(item),
+    }));
+    const hosts = new Map();
+    let active = 0;
+    let completed = 0;
+    let timer;
+
+    if (items.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    /**
+     * Start a pending item
+     * @param {object} entry - Pending entry
+     * @param {object} host - Host state
+     */
+    const start = (entry, host) => {
+      active++;
+      host.active++;
+      host.lastStart = Date.now();
+
+      Promise.resolve()
+        .then(() => worker(entry.item))
+        .then(
+          (result) => {
+            results[entry.index] = result;
+          },
+          (error) => {
+            results[entry.index] = {
+              success: false,
+              itemsAdded: 0,
+              error: error.message,
+            };
+          },
+        )
+        .finally(() => {
+          active--;
+          host.active--;
+          completed++;
+
+          if (completed === items.length) {
+            clearTimeout(timer);
+            resolve(results);
+          } else {
+            schedule();
+          }
+        });
+    };
+
+    /**
+     * Start every eligible item, then wait for the next host to cool down
+     */
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = undefined;
+
+      const now = Date.now();
+      let wait = Infinity;
+
+      for (let index = 0; index < pending.length; ) {
+        if (active >= concurrency) {
+          return;
+        }
+
+        const entry = pending[index];
+        if (!hosts.has(entry.host)) {
+          hosts.set(entry.host, { active: 0, lastStart: 0 });
+        }
+        const host = hosts.get(entry.host);
+        const readyAt = host.lastStart + hostInterval;
+
+        if (host.active < perHost && readyAt <= now) {
+          pending.splice(index, 1);
+          start(entry, host);
+        } else {
+          if (host.active < perHost) {
+            wait = Math.min(wait, readyAt - now);
+          }
+          index++;
+        }
+      }
+
+      // Hosts that are only cooling down need a timer; busy hosts
+      // reschedule when their items finish
+      if (pending.length > 0 && wait !== Infinity) {
+        timer = setTimeout(schedule, wait);
+      }
+    };
+
+    schedule();
+  });
+}
@@ -5,35 +5,61 @@
 
 const FEED_PROCESS_TIMEOUT = 60_000; // 60 seconds max per feed
 const MAX_ITEMS_PER_CYCLE = 100; // Max items to process per feed per cycle
+const HOST_CONCURRENCY = 2; // Max feeds fetched at once from the same host
+const HOST_INTERVAL = 1000; // Min ms between requests to the same host
+const REDIRECT_STABLE_FETCHES = 3; // Fetches a permanent redirect must survive before the URL moves
 
-import { getRedisClient, publishEvent } from "../cache/redis.js";
+// Article pages for full-content feeds are fetched outside the polling
+// timeout; the extractor spaces requests out per host
+const fullContentQueue = createTaskQueue({ concurrency: 2 });
+
+import { getRedisClient } from "../cache/redis.js";
 import { detectCapabilities } from "../feeds/capabilities.js";
+import { fetchFullContent } from "../feeds/extractor.js";
 import { fetchAndParseFeed } from "../feeds/fetcher.js";
 import { resolveSourceFeedMeta } from "../feeds/source-meta.js";
+import { publishChannelEvent } from "../realtime/publisher.js";
+import { createBlockListCache } from "../storage/blocks.js";
 import { getChannelById } from "../storage/channels.js";
 import {
+  changeFeedUrl,
+  findFeedAcrossChannels,
+  getItemSourceUrl,
+  recordFeedWebsubHub,
   updateFeed,
   updateFeedAfterFetch,
   updateFeedStatus,
-  updateFeedWebsub,
 } from "../storage/feeds.js";
+import { recordFetch } from "../storage/fetch-log.js";
 import { passesRegexFilter, passesTypeFilter } from "../storage/filters.js";
-import { addItem } from "../storage/items.js";
+import {
+  addItem,
+  applyItemEdit,
+  mergeDuplicateItem,
+  setItemFullContent,
+} from "../storage/items.js";
 import { classifyUrl } from "../utils/source-type.js";
 import {
-  subscribe as websubSubscribe,
+  unsubscribe as websubUnsubscribe,
   getCallbackUrl,
+  isSubscriptionActive,
 } from "../websub/subscriber.js";
 
+import { getHostKey, runWithHostLimits } from "./host-pool.js";
+import { createTaskQueue } from "./queue.js";
 import { calculateNewTier } from "./tier.js";
 
 /**
  * Process a single feed
  * @param {object} application - Indiekit application
  * @param {object} feed - Feed document from database
+ * @param {object} [options] - Processing options
+ * @param {object} [options.blockLists] - Block list cache shared across a polling cycle
+ * @param {boolean} [options.websub] - Whether a WebSub ping triggered the fetch
  * @returns {Promise<object>} Processing result
  */
-export async function processFeed(application, feed) {
+export async function processFeed(application, feed, options = {}) {
+  const { blockLists = createBlockListCache(application) } = options;
   const startTime = Date.now();
   const result = {
     feedId: feed._id,
@@ -42,6 +68,7 @@ export async function processFeed(application, feed) {
     itemsAdded: 0,
     error: undefined,
   };
+  const fetchLog = { feedId: feed._id, websub: options.websub };
 
   try {
     // Get Redis client for caching
@@ -52,14 +79,25 @@ export async function processFeed(application, feed) {
       etag: feed.etag,
       lastModified: feed.lastModified,
       redis,
+      sourceUrl: getItemSourceUrl(feed),
+      contentHash: feed.contentHash,
     });
 
-    // Handle 304 Not Modified
+    fetchLog.status = parsed.status;
+    fetchLog.notModified = parsed.notModified;
+    fetchLog.bytes = parsed.content ? Buffer.byteLength(parsed.content) : 0;
+    fetchLog.itemsParsed = parsed.items?.length || 0;
+
+    await trackPermanentRedirect(application, feed, parsed.permanentRedirect);
+
+    // Handle 304 Not Modified (or a body identical to the last fetch)
     if (parsed.notModified) {
       const tierResult = calculateNewTier({
         currentTier: feed.tier,
         hasNewItems: false,
         consecutiveUnchanged: feed.unmodified || 0,
+        hasWebsub: isSubscriptionActive(feed),
+        hints: { ...feed.schedule, ...parsed.cacheHints },
       });
 
       await updateFeedAfterFetch(application, feed._id, false, {
@@ -73,78 +111,20 @@ export async function processFeed(application, feed) {
       return result;
     }
 
-    // Get channel for filtering
-    const channel = await getChannelById(application, feed.channelId);
-
-    // Process items (limited to MAX_ITEMS_PER_CYCLE per feed per cycle)
-    let newItemCount = 0;
-    let processedCount = 0;
-    for (const item of parsed.items) {
-      if (processedCount >= MAX_ITEMS_PER_CYCLE) break;
-      processedCount++;
-      // Apply channel filters
-      if (channel?.settings && !passesFilters(item, channel.settings)) {
-        continue;
-      }
-
-      // Enrich item source with feed metadata
-      if (item._source) {
-        item._source.name = feed.title || parsed.name;
-      }
-
-      // Attach source_type from feed capabilities (for protocol indicators)
-      // Falls back to URL-based inference when capabilities haven't been detected yet
-      item._source = item._source || {};
-      if (feed.capabilities?.source_type) {
-        item._source.source_type = feed.capabilities.source_type;
-      } else {
-        item._source.source_type = classifyUrl(feed.url).type;
-      }
-
-      // Aggregator feeds: item-level <source> names the originating feed.
-      // Resolve its channel image/homepage (cached, one fetch per source
-      // feed per day) so the card shows the actual author's avatar.
-      const itemSource = item._source.itemSource;
-      if (itemSource?.url && !item.author?.photo) {
-        const meta = await resolveSourceFeedMeta(itemSource.url);
-        if (meta) {
-          item.author = {
-            type: "card",
-            name: item.author?.name || itemSource.title || meta.name,
-            url: item.author?.url || meta.url,
-            photo: meta.photo,
-          };
-        }
-      }
-
-      // Store the item
-      const stored = await addItem(application, {
-        channelId: feed.channelId,
-        feedId: feed._id,
-        uid: item.uid,
-        item,
-      });
-      if (stored) {
-        newItemCount++;
-
-        // Publish real-time event
-        if (redis) {
-          await publishEvent(redis, `microsub:${feed.channelId}`, {
-            type: "new-item",
-            channelId: feed.channelId.toString(),
-            item: stored,
-          });
-        }
-      }
-    }
+    const newItemCount = await storeParsedItems(application, feed, parsed, {
+      blockLists,
+    });
 
     result.itemsAdded = newItemCount;
+    fetchLog.itemsAdded = newItemCount;
 
     // Update tier based on whether we found new items
     const tierResult = calculateNewTier({
       currentTier: feed.tier,
       hasNewItems: newItemCount > 0,
       consecutiveUnchanged: newItemCount > 0 ? 0 : feed.unmodified || 0,
+      hasWebsub: isSubscriptionActive(feed),
+      hints: { ...parsed._schedule, ...parsed.cacheHints },
     });
 
     // Update feed metadata
@@ -154,6 +134,9 @@ export async function processFeed(application, feed) {
       nextFetchAt: tierResult.nextFetchAt,
       etag: parsed.etag,
       lastModified: parsed.lastModified,
+      contentHash: parsed.contentHash,
+      // Feed-level polling hints, reused after 304 responses
+      schedule: parsed._schedule,
     };
 
     // Update feed title/photo/feedType if discovered
@@ -179,36 +162,16 @@ export async function processFeed(application, feed) {
       updateData,
     );
 
-    // Handle WebSub hub discovery and auto-subscription
-    if (parsed.hub && (!feed.websub || feed.websub.hub !== parsed.hub)) {
-      await updateFeedWebsub(application, feed._id, {
+    // Record a discovered hub; renewSubscriptions sends the subscription
+    if (parsed.hub && feed.websub?.hub !== parsed.hub) {
+      const updated = await recordFeedWebsubHub(application, feed._id, {
         hub: parsed.hub,
         topic: parsed.self || feed.url,
       });
-
-      // Auto-subscribe to WebSub hub if we have a callback URL
-      const baseUrl = application.url;
-      if (baseUrl) {
-        const callbackUrl = getCallbackUrl(baseUrl, feed._id.toString());
-        const updatedFeed = {
-          ...feed,
-          websub: { hub: parsed.hub, topic: parsed.self || feed.url },
-        };
-
-        websubSubscribe(application, updatedFeed, callbackUrl)
-          .then((subscribed) => {
-            if (subscribed) {
-              console.info(
-                `[Microsub] WebSub subscription initiated for ${feed.url}`,
-              );
-            }
-          })
-          .catch((error) => {
-            console.error(
-              `[Microsub] WebSub subscription error for ${feed.url}:`,
-              error.message,
-            );
-          });
+      if (updated) {
+        console.info(
+          `[Microsub] WebSub hub discovered for ${feed.url}: ${parsed.hub}`,
+        );
       }
     }
 
@@ -236,19 +199,38 @@ export async function processFeed(application, feed) {
     }
   } catch (error) {
     result.error = error.message;
+    fetchLog.status = error.status;
+    fetchLog.error = error.message;
 
     // Update feed status to error
     await updateFeedStatus(application, feed._id, {
       success: false,
       error: error.message,
+      httpStatus: error.status,
     });
 
+    // 410 Gone: the feed is no longer polled, so drop its WebSub lease too
+    if (error.status === 410) {
+      console.info(`[Microsub] Feed gone, polling stopped: ${feed.url}`);
+
+      if (feed.websub?.hub && application.url) {
+        const callbackUrl = getCallbackUrl(
+          application.url,
+          feed._id.toString(),
+        );
+        websubUnsubscribe(application, feed, callbackUrl).catch(() => {});
+      }
+    }
+
     // Still update the feed to prevent retry storms
     try {
       const tierResult = calculateNewTier({
         currentTier: feed.tier,
         hasNewItems: false,
         consecutiveUnchanged: (feed.unmodified || 0) + 1,
+        hasWebsub: isSubscriptionActive(feed),
+        // Honour Retry-After from 429/503 responses
+        hints: { ...feed.schedule, retryAfter: error.retryAfter },
       });
 
       await updateFeedAfterFetch(application, feed._id, false, {
@@ -259,12 +241,272 @@ export async function processFeed(application, feed) {
     } catch {
       // Ignore update errors
     }
+  } finally {
+    // Every outcome is logged, including 304s and unchanged bodies, and
+    // fetches that outlived the batch timeout (once they finish)
+    result.duration = Date.now() - startTime;
+
+    await recordFetch(application, {
+      ...fetchLog,
+      duration: result.duration,
+    }).catch((error) => {
+      console.warn(`[Microsub] Fetch log write failed: ${error.message}`);
+    });
   }
 
-  result.duration = Date.now() - startTime;
   return result;
 }
 
+/**
+ * Track a permanent (301/308) redirect and move the feed to the new URL
+ * once the redirect has been seen on REDIRECT_STABLE_FETCHES fetches in a
+ * row. The old URL is kept in the feed's history.
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {string} [target] - Permanently redirected URL, if any
+ * @returns {Promise<void>}
+ */
+async function trackPermanentRedirect(application, feed, target) {
+  if (!target || target === feed.url) {
+    // Redirect went away (or turned temporary) before it was stable
+    if (feed.redirect) {
+      await updateFeed(application, feed._id, { redirect: undefined });
+    }
+    return;
+  }
+
+  const isSameTarget = feed.redirect?.url === target;
+  const count = isSameTarget ? feed.redirect.count + 1 : 1;
+
+  if (count < REDIRECT_STABLE_FETCHES) {
+    await updateFeed(application, feed._id, {
+      redirect: {
+        url: target,
+        count,
+        firstSeenAt: isSameTarget
+          ? feed.redirect.firstSeenAt
+          : new Date().toISOString(),
+      },
+    });
+    return;
+  }
+
+  // Don't move onto a URL another subscription already uses
+  const duplicate = await findFeedAcrossChannels(application, target);
+  if (duplicate && !duplicate.feed._id.equals(feed._id)) {
+    console.warn(
+      `[Microsub] Not moving ${feed.url} to ${target}: already followed in "${duplicate.channelName}"`,
+    );
+    return;
+  }
+
+  await changeFeedUrl(application, feed, target);
+  console.info(`[Microsub] Feed moved permanently: ${feed.url} -> ${target}`);
+}
+
+/**
+ * Fetch the full article for an item of a full-content feed in the
+ * background, and store it when it is longer than the feed's teaser
+ * @param {object} application - Indiekit application
+ * @param {object} stored - Stored item
+ * @param {object} item - jf2 item as published by the feed
+ * @param {object} [options] - Extractor options (`refresh`)
+ */
+function queueFullContent(application, stored, item, options = {}) {
+  if (!item.url) {
+    return;
+  }
+
+  fullContentQueue
+    .push(async () => {
+      const content = await fetchFullContent(item.url, options);
+      const teaserLength = item.content?.text?.length || 0;
+      if (content && content.text.length > teaserLength) {
+        await setItemFullContent(application, stored._id, { item, content });
+      }
+    })
+    .catch((error) => {
+      console.error(
+        `[Microsub] Error storing full content for ${item.url}:`,
+        error.message,
+      );
+    });
+}
+
+/**
+ * Filter, enrich and store parsed feed items, publishing a realtime event
+ * for each new one. Shared by polling and WebSub pushes.
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {object} parsed - Parsed feed (`items`, `name`)
+ * @param {object} [options] - Processing options
+ * @param {object} [options.blockLists] - Block list cache shared across a polling cycle
+ * @param {boolean} [options.markRead] - Store new items as already read and
+ *   backfilled, without realtime events, edit resurfacing or full-article
+ *   extraction (used by backfill)
+ * @returns {Promise<number>} Number of new items stored
+ */
+export async function storeParsedItems(
+  application,
+  feed,
+  parsed,
+  options = {},
+) {
+  const { blockLists = createBlockListCache(application), markRead = false } =
+    options;
+
+  // Get channel for filtering
+  const channel = await getChannelById(application, feed.channelId);
+  const isBlocked = await blockLists.get(channel?.userId);
+
+  // Process items (limited to MAX_ITEMS_PER_CYCLE per feed per cycle)
+  let newItemCount = 0;
+  let processedCount = 0;
+  for (const item of parsed.items) {
+    if (processedCount >= MAX_ITEMS_PER_CYCLE) break;
+    processedCount++;
+    // Skip blocked authors
+    if (isBlocked(item)) {
+      continue;
+    }
+
+    // Apply channel filters
+    if (channel?.settings && !passesFilters(item, channel.settings)) {
+      continue;
+    }
+
+    // Enrich item source with feed metadata
+    if (item._source) {
+      item._source.name = feed.title || parsed.name;
+    }
+
+    // Attach source_type from feed capabilities (for protocol indicators)
+    // Falls back to URL-based inference when capabilities haven't been detected yet
+    item._source = item._source || {};
+    if (feed.capabilities?.source_type) {
+      item._source.source_type = feed.capabilities.source_type;
+    } else {
+      item._source.source_type = classifyUrl(feed.url).type;
+    }
+
+    // Aggregator feeds: item-level <source> names the originating feed.
+    // Resolve its channel image/homepage (cached, one fetch per source
+    // feed per day) so the card shows the actual author's avatar.
+    const itemSource = item._source.itemSource;
+    if (itemSource?.url && !item.author?.photo) {
+      const meta = await resolveSourceFeedMeta(itemSource.url);
+      if (meta) {
+        item.author = {
+          type: "card",
+          name: item.author?.name || itemSource.title || meta.name,
+          url: item.author?.url || meta.url,
+          photo: meta.photo,
+        };
+      }
+    }
+
+    // Same article already stored from another feed (e.g. an aggregator or
+    // Planet feed): list this feed as a source instead of storing a copy
+    const duplicate = await mergeDuplicateItem(application, {
+      channelId: feed.channelId,
+      uid: item.uid,
+      item,
+      source: {
+        feedId: feed._id,
+        name: feed.title || parsed.name,
+        url: feed.siteUrl || feed.url,
+      },
+    });
+    if (duplicate) {
+      continue;
+    }
+
+    // Store the item
+    const stored = await addItem(application, {
+      channelId: feed.channelId,
+      feedId: feed._id,
+      uid: item.uid,
+      item,
+      readBy: markRead && channel?.userId ? [channel.userId] : [],
+      backfilled: markRead,
+    });
+    if (stored) {
+      newItemCount++;
+      if (markRead) {
+        continue;
+      }
+
+      if (feed.fullContent) {
+        queueFullContent(application, stored, item);
+      }
+
+      // Publish real-time event to the channel owner
+      await publishChannelEvent(application, channel, {
+        type: "new-item",
+        item: stored,
+      });
+      continue;
+    }
+
+    if (markRead) {
+      continue;
+    }
+
+    // Already stored: pick up the author's edits
+    const edit = await applyItemEdit(
+      application,
+      { channelId: feed.channelId, uid: item.uid, item },
+      { resurface: channel?.settings?.resurfaceEdits },
+    );
+    if (edit?.contentChanged && feed.fullContent) {
+      queueFullContent(application, edit.item, item, { refresh: true });
+    }
+    if (edit?.resurfaced) {
+      await publishChannelEvent(application, channel, {
+        type: "new-item",
+        item: edit.item,
+      });
+    }
+  }
+
+  return newItemCount;
+}
+
+/**
+ * Process content pushed by a WebSub hub. Items go straight to storage
+ * without refetching the feed. The polling tier and feed status are left
+ * alone: a push says nothing about how often polling would find changes, or
+ * whether the feed URL itself still works.
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {object} parsed - Parsed pushed content
+ * @param {object} [options] - Push details
+ * @param {number} [options.bytes] - Size of the pushed body
+ * @returns {Promise<object>} Processing result
+ */
+export async function processPushedContent(
+  application,
+  feed,
+  parsed,
+  options = {},
+) {
+  const startTime = Date.now();
+  const itemsAdded = await storeParsedItems(application, feed, parsed);
+
+  await recordFetch(application, {
+    feedId: feed._id,
+    duration: Date.now() - startTime,
+    bytes: options.bytes,
+    itemsParsed: parsed.items?.length || 0,
+    itemsAdded,
+    websub: true,
+  }).catch((error) => {
+    console.warn(`[Microsub] Fetch log write failed: ${error.message}`);
+  });
+
+  return { feedId: feed._id, url: feed.url, success: true, itemsAdded };
+}
+
 /**
  * Check if an item passes channel filters
  * @param {object} item - Feed item
@@ -276,41 +518,41 @@ function passesFilters(item, settings) {
 }
 
 /**
- * Process multiple feeds in batch
+ * Process multiple feeds in batch. Feeds run through a rolling worker pool
+ * that caps concurrent requests per host and spaces requests to the same
+ * host, so many feeds on one host neither hammer it nor stall the batch.
  * @param {object} application - Indiekit application
  * @param {Array} feeds - Array of feed documents
  * @param {object} options - Processing options
+ * @param {number} [options.concurrency] - Feeds processed in parallel
+ * @param {number} [options.perHost] - Feeds processed in parallel per host
+ * @param {number} [options.hostInterval] - Minimum ms between requests to a host
+ * @param {object} [options.blockLists] - Block list cache shared across the batch
+ * @param {(feed: object) => any} [options.onSettled] - Called when a feed's
+ *   processing has really finished, which for timed-out feeds is after the
+ *   batch result
  * @returns {Promise<object>} Batch processing result
  */
 export async function processFeedBatch(application, feeds, options = {}) {
-  const { concurrency = 5 } = options;
-  const results = [];
-
-  // Process in batches with limited concurrency
-  for (let index = 0; index < feeds.length; index += concurrency) {
-    const batch = feeds.slice(index, index + concurrency);
-    const batchResults = await Promise.all(
-      batch.map((feed) =>
-        Promise.race([
-          processFeed(application, feed),
-          new Promise((resolve) =>
-            setTimeout(
-              () =>
-                resolve({
-                  feedId: feed._id,
-                  url: feed.url,
-                  success: false,
-                  itemsAdded: 0,
-                  error: "Feed processing timeout",
-                }),
-              FEED_PROCESS_TIMEOUT,
-            ),
-          ),
-        ]),
-      ),
-    );
-    results.push(...batchResults);
-  }
+  const {
+    concurrency = 5,
+    perHost = HOST_CONCURRENCY,
+    hostInterval = HOST_INTERVAL,
+    blockLists = createBlockListCache(application),
+    onSettled,
+  } = options;
+
+  const results = await runWithHostLimits(
+    feeds,
+    (feed) =>
+      processFeedWithTimeout(application, feed, { blockLists }, onSettled),
+    {
+      getHost: (feed) => getHostKey(feed.url),
+      concurrency,
+      perHost,
+      hostInterval,
+    },
+  );
 
   return {
     total: feeds.length,
@@ -320,3 +562,40 @@ export async function processFeedBatch(application, feeds, options = {}) {
     results,
   };
 }
+
+/**
+ * Process a feed, giving up after FEED_PROCESS_TIMEOUT. A timed-out
+ * processFeed keeps running; `onSettled` is called once it has finished.
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {object} options - Options passed to processFeed
+ * @param {(feed: object) => any} [onSettled] - Called when processing ends
+ * @returns {Promise<object>} Processing result
+ */
+async function processFeedWithTimeout(application, feed, options, onSettled) {
+  let timeoutId;
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(
+      () =>
+        resolve({
+          feedId: feed._id,
+          url: feed.url,
+          success: false,
+          itemsAdded: 0,
+          error: "Feed processing timeout",
+        }),
+      FEED_PROCESS_TIMEOUT,
+    );
+  });
+
+  const processing = processFeed(application, feed, options);
+  if (onSettled) {
+    processing.finally(() => onSettled(feed)).catch(() => {});
+  }
+
+  try {
+    return await Promise.race([processing, timeout]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
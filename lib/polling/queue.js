@@ -0,0 +1,55 @@
+/**
+ * Promise task queue with a concurrency cap
+ * @module polling/queue
+ */
+
+/**
+ * Create a task queue. Tasks are started in push order, with at most
+ * `concurrency` running at once.
+ * @param {object} [options] - Queue options
+ * @param {number} [options.concurrency] - Maximum tasks running at once
+ * @returns {{ push: (task: () => Promise<any>) => Promise<any>, size: number }} Queue
+ */
+export function createTaskQueue({ concurrency = 1 } = {}) {
+  const pending = [];
+  let active = 0;
+
+  /**
+   * Start queued tasks while there are free slots
+   */
+  function next() {
+    while (active < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {() => Promise<any>} task - Task to run
+     * @returns {Promise<any>} Settles with the task's result
+     */
+    push(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    /**
+     * Number of queued and running tasks
+     * @returns {number} Queue size
+     */
+    get size() {
+      return pending.length + active;
+    },
+  };
+}
@@ -3,118 +3,211 @@
  * @module polling/scheduler
  */
 
-import { getFeedsToFetch } from "../storage/feeds.js";
+import crypto from "node:crypto";
 
-import { processFeedBatch } from "./processor.js";
+import { createBlockListCache } from "../storage/blocks.js";
+import {
+  claimFeed,
+  claimFeedsToFetch,
+  getFeedById,
+  releaseFeedClaim,
+} from "../storage/feeds.js";
+import { renewSubscriptions } from "../websub/subscriber.js";
 
-// TODO: Refactor scheduler to a class that accepts `application` as constructor
-// argument. Module-level singletons prevent unit testing and multiple instances.
-let schedulerInterval;
-let indiekitInstance;
-let isRunning = false;
+import { runBackfills } from "./backfill.js";
+import { processFeed, processFeedBatch } from "./processor.js";
 
 const POLL_INTERVAL = 60 * 1000; // Run scheduler every minute
 const BATCH_CONCURRENCY = 5; // Process 5 feeds at a time
+const BATCH_SIZE = 25; // Feeds claimed per cycle
+const CLAIM_DURATION = 5 * 60 * 1000; // Claims outlive the 60s processing timeout
+
+// Claim owner for manual refreshes from this process
+const REFRESH_INSTANCE_ID = crypto.randomUUID();
 
 /**
- * Start the feed polling scheduler
- * @param {object} indiekit - Indiekit instance
+ * Polls due feeds on an interval. Feeds are claimed in the database before
+ * processing, so several processes (e.g. during a rolling deploy) can each
+ * run a scheduler without fetching the same feed twice.
  */
-export function startScheduler(indiekit) {
-  if (schedulerInterval) {
-    return; // Already running
+export class Scheduler {
+  /**
+   * @param {object} application - Indiekit application
+   * @param {object} [options] - Scheduler options
+   * @param {string} [options.instanceId] - Claim owner ID (random by default)
+   * @param {number} [options.pollInterval] - Milliseconds between cycles
+   * @param {number} [options.concurrency] - Feeds processed in parallel
+   * @param {number} [options.batchSize] - Feeds claimed per cycle
+   * @param {number} [options.claimDuration] - Claim lock duration in ms
+   */
+  constructor(application, options = {}) {
+    this.application = application;
+    this.instanceId = options.instanceId || crypto.randomUUID();
+    this.pollInterval = options.pollInterval ?? POLL_INTERVAL;
+    this.concurrency = options.concurrency ?? BATCH_CONCURRENCY;
+    this.batchSize = options.batchSize ?? BATCH_SIZE;
+    this.claimDuration = options.claimDuration ?? CLAIM_DURATION;
+    this.interval = undefined;
+    this.isRunning = false;
+    this.isBackfilling = false;
   }
 
-  indiekitInstance = indiekit;
-
-  // Run every minute
-  schedulerInterval = setInterval(async () => {
-    await runSchedulerCycle();
-  }, POLL_INTERVAL);
-
-  // Run immediately on start
-  runSchedulerCycle();
+  /**
+   * Start polling (runs a cycle immediately, then every pollInterval)
+   */
+  start() {
+    if (this.interval) {
+      return; // Already running
+    }
 
-  console.info("[Microsub] Feed polling scheduler started");
-}
+    this.interval = setInterval(() => this.runCycle(), this.pollInterval);
 
-/**
- * Stop the feed polling scheduler
- */
-export function stopScheduler() {
-  if (schedulerInterval) {
-    clearInterval(schedulerInterval);
-    schedulerInterval = undefined;
-  }
-  indiekitInstance = undefined;
-  console.info("[Microsub] Feed polling scheduler stopped");
-}
+    // Run immediately on start
+    this.runCycle();
 
-/**
- * Run a single scheduler cycle
- */
-async function runSchedulerCycle() {
-  if (!indiekitInstance) {
-    return;
+    console.info("[Microsub] Feed polling scheduler started");
   }
 
-  // Prevent overlapping runs
-  if (isRunning) {
-    return;
+  /**
+   * Stop polling. A cycle already in progress finishes on its own.
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = undefined;
+      console.info("[Microsub] Feed polling scheduler stopped");
+    }
   }
 
-  isRunning = true;
-
-  try {
-    const application = indiekitInstance;
-    const feeds = await getFeedsToFetch(application);
-
-    if (feeds.length === 0) {
-      isRunning = false;
+  /**
+   * Run a single scheduler cycle
+   * @returns {Promise<object|undefined>} Batch result, if any feeds were due
+   */
+  async runCycle() {
+    // Prevent overlapping runs
+    if (this.isRunning) {
       return;
     }
 
-    console.info(`[Microsub] Processing ${feeds.length} feeds due for refresh`);
+    this.isRunning = true;
+    const { application } = this;
+
+    try {
+      // Renew WebSub leases ahead of expiry and retry failed subscriptions
+      try {
+        const renewed = await renewSubscriptions(application, {
+          instanceId: this.instanceId,
+        });
+        if (renewed > 0) {
+          console.info(
+            `[Microsub] Sent ${renewed} WebSub subscription requests`,
+          );
+        }
+      } catch (error) {
+        console.error("[Microsub] WebSub renewal error:", error.message);
+      }
 
-    const result = await processFeedBatch(application, feeds, {
-      concurrency: BATCH_CONCURRENCY,
-    });
+      // Backfill pages are fetched slowly, so don't hold up polling
+      this.runBackfillStep();
 
-    console.info(
-      `[Microsub] Processed ${result.total} feeds: ${result.successful} successful, ` +
-        `${result.failed} failed, ${result.itemsAdded} new items`,
-    );
+      const feeds = await claimFeedsToFetch(application, {
+        instanceId: this.instanceId,
+        lockDuration: this.claimDuration,
+        limit: this.batchSize,
+      });
 
-    // Log any errors
-    for (const feedResult of result.results) {
-      if (feedResult.error) {
-        console.error(
-          `[Microsub] Error processing ${feedResult.url}: ${feedResult.error}`,
-        );
+      if (feeds.length === 0) {
+        return;
       }
+
+      console.info(
+        `[Microsub] Processing ${feeds.length} feeds due for refresh`,
+      );
+
+      // One block list lookup per user per cycle, shared by every feed.
+      // Claims are released as each feed really finishes: a feed that hit
+      // the processing timeout keeps its claim until processFeed settles.
+      const result = await processFeedBatch(application, feeds, {
+        concurrency: this.concurrency,
+        blockLists: createBlockListCache(application),
+        onSettled: (feed) =>
+          releaseFeedClaim(application, feed._id, this.instanceId),
+      });
+
+      console.info(
+        `[Microsub] Processed ${result.total} feeds: ${result.successful} successful, ` +
+          `${result.failed} failed, ${result.itemsAdded} new items`,
+      );
+
+      // Log any errors
+      for (const feedResult of result.results) {
+        if (feedResult.error) {
+          console.error(
+            `[Microsub] Error processing ${feedResult.url}: ${feedResult.error}`,
+          );
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error("[Microsub] Error in scheduler cycle:", error.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Advance one queued backfill job in the background, unless one is
+   * already running in this process
+   */
+  async runBackfillStep() {
+    if (this.isBackfilling) {
+      return;
+    }
+
+    this.isBackfilling = true;
+    try {
+      await runBackfills(this.application, { instanceId: this.instanceId });
+    } catch (error) {
+      console.error("[Microsub] Backfill error:", error.message);
+    } finally {
+      this.isBackfilling = false;
     }
-  } catch (error) {
-    console.error("[Microsub] Error in scheduler cycle:", error.message);
-  } finally {
-    isRunning = false;
   }
 }
 
 /**
- * Manually trigger a feed refresh
+ * Manually trigger a feed refresh. The feed is claimed like a scheduled
+ * fetch, so a refresh never runs alongside another fetch of the same feed.
  * @param {object} application - Indiekit application
  * @param {string} feedId - Feed ID to refresh
  * @returns {Promise<object>} Processing result
  */
 export async function refreshFeedNow(application, feedId) {
-  const { getFeedById } = await import("../storage/feeds.js");
-  const { processFeed } = await import("./processor.js");
-
   const feed = await getFeedById(application, feedId);
   if (!feed) {
     throw new Error("Feed not found");
   }
 
-  return processFeed(application, feed);
-}
+  const claimed = await claimFeed(application, feed._id, {
+    instanceId: REFRESH_INSTANCE_ID,
+    lockDuration: CLAIM_DURATION,
+  });
+  if (!claimed) {
+    return {
+      feedId: feed._id,
+      url: feed.url,
+      success: false,
+      itemsAdded: 0,
+      error: "Feed is already being fetched",
+    };
+  }
 
+  try {
+    return await processFeed(application, claimed);
+  } finally {
+    await releaseFeedClaim(application, feed._id, REFRESH_INSTANCE_ID).catch(
+      () => {},
+    );
+  }
+}
@@ -15,12 +15,39 @@
  * - Tier 9: Every 512 minutes (~8 hours)
  * - Tier 10: Every 1024 minutes (~17 hours)
  *
+ * Feeds with a live WebSub subscription never poll faster than
+ * WEBSUB_MIN_TIER; polling is only a safety net for missed pushes.
+ *
+ * The next fetch is then pushed back to honour publisher hints: HTTP
+ * Cache-Control max-age / Expires, Retry-After, RSS <ttl>, <skipHours>,
+ * <skipDays> and sy:updatePeriod / sy:updateFrequency.
+ *
  * @module polling/tier
  */
 
 const MIN_TIER = 0;
 const MAX_TIER = 10;
 const DEFAULT_TIER = 1;
+const WEBSUB_MIN_TIER = 7; // ~2 hours
+const MAX_HINT_DELAY = 7 * 24 * 60 * 60 * 1000; // Longer hints are capped at a week
+
+const HOUR = 60 * 60 * 1000;
+const UPDATE_PERIODS = {
+  hourly: HOUR,
+  daily: 24 * HOUR,
+  weekly: 7 * 24 * HOUR,
+  monthly: 30 * 24 * HOUR,
+  yearly: 365 * 24 * HOUR,
+};
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
 
 /**
  * Get polling interval for a tier in milliseconds.
@@ -45,12 +72,96 @@ function getNextFetchTime(tier) {
   return new Date(Date.now() + interval);
 }
 
+/**
+ * Get the earliest time the publisher allows the next fetch.
+ * Internal helper for applyCachingHints.
+ * @param {object} hints - Caching hints
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Earliest fetch time in milliseconds
+ */
+function getEarliestFetchTime(hints, now) {
+  const delays = [];
+
+  if (hints.maxAge > 0) {
+    delays.push(hints.maxAge * 1000);
+  }
+  if (hints.expires) {
+    delays.push(new Date(hints.expires).getTime() - now);
+  }
+  if (hints.retryAfter > 0) {
+    delays.push(hints.retryAfter * 1000);
+  }
+  if (hints.ttl > 0) {
+    delays.push(hints.ttl * 60 * 1000);
+  }
+  const period = UPDATE_PERIODS[hints.updatePeriod];
+  if (period) {
+    delays.push(period / Math.max(1, hints.updateFrequency || 1));
+  }
+
+  const delay = Math.min(Math.max(0, ...delays), MAX_HINT_DELAY);
+  return now + delay;
+}
+
+/**
+ * Move a fetch time out of the publisher's <skipHours> (UTC hours) and
+ * <skipDays>.
+ * Internal helper for applyCachingHints.
+ * @param {number} time - Fetch time in milliseconds
+ * @param {object} hints - Caching hints
+ * @returns {number} Fetch time outside skipped hours and days
+ */
+function skipBlockedHours(time, hints) {
+  const skipHours = new Set(hints.skipHours || []);
+  const skipDays = new Set(
+    (hints.skipDays || []).map((day) => day.toLowerCase()),
+  );
+  if (skipHours.size === 0 && skipDays.size === 0) {
+    return time;
+  }
+
+  const isSkipped = (date) =>
+    skipHours.has(date.getUTCHours()) ||
+    skipDays.has(DAY_NAMES[date.getUTCDay()]);
+
+  // Step to the start of the next hour until allowed (at most a week)
+  const date = new Date(time);
+  for (let step = 0; step < 24 * 7 && isSkipped(date); step++) {
+    date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+  }
+
+  return isSkipped(date) ? time : date.getTime();
+}
+
+/**
+ * Clamp a next fetch time so we never poll more often than the publisher
+ * asks
+ * @param {Date} nextFetchAt - Fetch time from the tier
+ * @param {object} [hints] - Caching hints from the response and feed
+ * @returns {Date} Next fetch time
+ */
+export function applyCachingHints(nextFetchAt, hints) {
+  if (!hints) {
+    return nextFetchAt;
+  }
+
+  const now = Date.now();
+  const earliest = Math.max(
+    nextFetchAt.getTime(),
+    getEarliestFetchTime(hints, now),
+  );
+
+  return new Date(skipBlockedHours(earliest, hints));
+}
+
 /**
  * Calculate new tier after a fetch
  * @param {object} options - Options
  * @param {number} options.currentTier - Current tier
  * @param {boolean} options.hasNewItems - Whether new items were found
  * @param {number} options.consecutiveUnchanged - Consecutive fetches with no changes
+ * @param {boolean} [options.hasWebsub] - Whether the feed has a live WebSub subscription
+ * @param {object} [options.hints] - Publisher caching hints (see applyCachingHints)
  * @returns {object} New tier and metadata
  */
 export function calculateNewTier(options) {
@@ -58,6 +169,8 @@ export function calculateNewTier(options) {
     currentTier = DEFAULT_TIER,
     hasNewItems,
     consecutiveUnchanged = 0,
+    hasWebsub = false,
+    hints,
   } = options;
 
   let newTier = currentTier;
@@ -85,10 +198,15 @@ export function calculateNewTier(options) {
     }
   }
 
+  // Relax polling while the hub pushes updates
+  if (hasWebsub) {
+    newTier = Math.max(newTier, WEBSUB_MIN_TIER);
+  }
+
   return {
     tier: newTier,
     consecutiveUnchanged: newConsecutiveUnchanged,
-    nextFetchAt: getNextFetchTime(newTier),
+    nextFetchAt: applyCachingHints(getNextFetchTime(newTier), hints),
   };
 }
 
@@ -4,20 +4,21 @@
  * @module realtime/broker
  */
 
-import { subscribeToChannel } from "../cache/redis.js";
+import { getPubSubClient, subscribeToChannel } from "../cache/redis.js";
 
 /**
  * SSE Client connection
  * @typedef {object} SseClient
  * @property {object} response - Express response object
  * @property {string} userId - User ID
- * @property {Set<string>} channels - Subscribed channel IDs
+ * @property {Set<string>} channels - Subscribed channel IDs or uids (all channels when empty)
+ * @property {Array<object>} [pending] - Live events held back while replaying
  */
 
 /** @type {Map<object, SseClient>} */
 const clients = new Map();
 
-/** @type {Map<string, object>} Map of userId to Redis subscriber */
+/** @type {Map<string, object>} Map of userId to pub/sub subscriber */
 const userSubscribers = new Map();
 
 const PING_INTERVAL = 10_000; // 10 seconds
@@ -27,13 +28,16 @@ const PING_INTERVAL = 10_000; // 10 seconds
  * @param {object} response - Express response object
  * @param {string} userId - User ID
  * @param {object} application - Indiekit application
+ * @param {object} [options] - Client options
+ * @param {boolean} [options.replaying] - Hold live events until `replayToClient`
  * @returns {object} Client object
  */
-export function addClient(response, userId, application) {
+export function addClient(response, userId, application, options = {}) {
   const client = {
     response,
     userId,
     channels: new Set(),
+    pending: options.replaying ? [] : undefined,
     pingInterval: setInterval(() => {
       sendEvent(response, "ping", { timestamp: new Date().toISOString() });
     }, PING_INTERVAL),
@@ -41,7 +45,7 @@ export function addClient(response, userId, application) {
 
   clients.set(response, client);
 
-  // Set up Redis subscription for this user if not already done
+  // Set up pub/sub subscription for this user if not already done
   setupUserSubscription(userId, application);
 
   return client;
@@ -62,12 +66,12 @@ export function removeClient(response) {
       (c) => c.userId === client.userId,
     );
     if (!hasOtherClients) {
-      // Clean up Redis subscriber connection for this user
+      // Clean up pub/sub subscriber connection for this user
       const subscriber = userSubscribers.get(client.userId);
       if (subscriber) {
         subscriber.quit().catch(() => {});
-        userSubscribers.delete(client.userId);
       }
+      userSubscribers.delete(client.userId);
     }
   }
 }
@@ -89,9 +93,13 @@ export function subscribeClient(response, channelId) {
  * @param {object} response - Express response object
  * @param {string} event - Event name
  * @param {object} data - Event data
+ * @param {number} [id] - Event id (sent as the SSE `id:` field)
  */
-export function sendEvent(response, event, data) {
+export function sendEvent(response, event, data, id) {
   try {
+    if (id !== undefined) {
+      response.write(`id: ${id}\n`);
+    }
     response.write(`event: ${event}\n`);
     response.write(`data: ${JSON.stringify(data)}\n\n`);
   } catch {
@@ -101,22 +109,75 @@ export function sendEvent(response, event, data) {
 }
 
 /**
- * Broadcast an event to all clients for a user.
- * Internal helper — only invoked by the Redis fan-out in handleRedisEvent.
+ * Check whether a client wants events for a channel
+ * @param {SseClient} client - SSE client
+ * @param {object} data - Event data
+ * @returns {boolean} True if the event should be sent
+ */
+function isSubscribed(client, data) {
+  if (client.channels.size === 0 || !data.channelId) {
+    return true;
+  }
+
+  return (
+    client.channels.has(data.channelId) || client.channels.has(data.channel)
+  );
+}
+
+/**
+ * Broadcast an event to all clients for a user, honouring each client's
+ * channel subscriptions.
+ * Internal helper — only invoked by handleEvent.
  * @param {string} userId - User ID
  * @param {string} event - Event name
  * @param {object} data - Event data
+ * @param {number} [id] - Event id
  */
-function broadcastToUser(userId, event, data) {
+function broadcastToUser(userId, event, data, id) {
   for (const client of clients.values()) {
-    if (client.userId === userId) {
-      sendEvent(client.response, event, data);
+    if (client.userId !== userId || !isSubscribed(client, data)) {
+      continue;
+    }
+
+    if (client.pending) {
+      client.pending.push({ event, data, id });
+    } else {
+      sendEvent(client.response, event, data, id);
     }
   }
 }
 
 /**
- * Set up Redis subscription for a user
+ * Send missed events to a reconnecting client, then release live events
+ * that arrived during the replay (skipping any already replayed)
+ * @param {object} response - Express response object
+ * @param {Array<object>} events - Buffered events, oldest first
+ */
+export function replayToClient(response, events) {
+  const client = clients.get(response);
+  if (!client) {
+    return;
+  }
+
+  let lastId = 0;
+  for (const { type, eventId, ...data } of events) {
+    lastId = Math.max(lastId, eventId);
+    if (isSubscribed(client, data)) {
+      sendEvent(response, type, data, eventId);
+    }
+  }
+
+  const pending = client.pending || [];
+  client.pending = undefined;
+  for (const { event, data, id } of pending) {
+    if (id === undefined || id > lastId) {
+      sendEvent(response, event, data, id);
+    }
+  }
+}
+
+/**
+ * Set up pub/sub subscription for a user
  * @param {string} userId - User ID
  * @param {object} application - Indiekit application
  */
@@ -125,18 +186,23 @@ async function setupUserSubscription(userId, application) {
     return; // Already subscribed
   }
 
-  const redis = application.redis;
-  if (!redis) {
-    return; // No Redis, skip real-time
+  // Mark as pending so concurrent connections don't subscribe twice
+  userSubscribers.set(userId, undefined);
+
+  // Redis when configured, otherwise the in-process bus
+  const pubsub = await getPubSubClient(application);
+
+  if (!userSubscribers.has(userId)) {
+    return; // Last client disconnected while connecting
   }
 
   // Create a duplicate connection for pub/sub
-  const subscriber = redis.duplicate();
+  const subscriber = pubsub.duplicate();
   userSubscribers.set(userId, subscriber);
 
   try {
     await subscribeToChannel(subscriber, `microsub:user:${userId}`, (data) => {
-      handleRedisEvent(userId, data);
+      handleEvent(userId, data);
     });
   } catch {
     // Subscription failed, remove from map
@@ -145,29 +211,24 @@ async function setupUserSubscription(userId, application) {
 }
 
 /**
- * Handle event received from Redis
+ * Handle an event published for a user
  * @param {string} userId - User ID
  * @param {object} data - Event data
  */
-function handleRedisEvent(userId, data) {
-  const { type, channelId, ...eventData } = data;
+function handleEvent(userId, data) {
+  const { type, eventId, ...eventData } = data;
 
   switch (type) {
-    case "new-item": {
-      broadcastToUser(userId, "new-item", { channelId, ...eventData });
-      break;
-    }
-    case "channel-update": {
-      broadcastToUser(userId, "channel-update", { channelId, ...eventData });
-      break;
-    }
+    case "new-item":
+    case "new-notification":
+    case "channel-update":
     case "unread-count": {
-      broadcastToUser(userId, "unread-count", { channelId, ...eventData });
+      broadcastToUser(userId, type, eventData, eventId);
       break;
     }
     default: {
       // Unknown event type, broadcast as generic event
-      broadcastToUser(userId, type, data);
+      broadcastToUser(userId, type, { type, ...eventData }, eventId);
     }
   }
 }
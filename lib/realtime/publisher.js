@@ -0,0 +1,89 @@
+/**
+ * Realtime event publishing
+ * Routes channel events to the owning user's SSE clients, through Redis
+ * pub/sub when configured and the in-process bus otherwise.
+ * @module realtime/publisher
+ */
+
+import { getPubSubClient, publishEvent } from "../cache/redis.js";
+import { formatUnread } from "../storage/channels.js";
+import { getUnreadCount } from "../storage/items-read-state.js";
+
+import { recordEvent } from "./replay.js";
+
+/**
+ * Get the pub/sub channel name for a user's events
+ * @param {string} userId - User ID
+ * @returns {string} Pub/sub channel name
+ */
+export function getUserEventChannel(userId) {
+  return `microsub:user:${userId}`;
+}
+
+/**
+ * Publish an event to all of a user's realtime clients
+ * @param {object} application - Indiekit application
+ * @param {string} userId - User ID
+ * @param {object} data - Event data (`type` is the SSE event name)
+ *   An `eventId` is assigned and used as the SSE `id:` field.
+ * @returns {Promise<void>}
+ */
+export async function publishToUser(application, userId, data) {
+  if (!userId) {
+    return;
+  }
+
+  const event = await recordEvent(application, userId, data);
+  const pubsub = await getPubSubClient(application);
+  await publishEvent(pubsub, getUserEventChannel(userId), event);
+}
+
+/**
+ * Publish an event about a channel to the channel owner's clients. Adds the
+ * channel's ID and uid so clients subscribed to either receive it.
+ * @param {object} application - Indiekit application
+ * @param {object} channel - Channel document
+ * @param {object} data - Event data
+ * @returns {Promise<void>}
+ */
+export async function publishChannelEvent(application, channel, data) {
+  if (!channel) {
+    return;
+  }
+
+  await publishToUser(application, channel.userId, {
+    ...data,
+    channelId: channel._id.toString(),
+    channel: channel.uid,
+  });
+}
+
+/**
+ * Publish `unread-count` and `channel-update` after a read-state change
+ * @param {object} application - Indiekit application
+ * @param {object} channel - Channel document
+ * @param {string} userId - User whose read state changed
+ * @returns {Promise<void>}
+ */
+export async function publishReadStateChange(application, channel, userId) {
+  try {
+    const unread = await getUnreadCount(application, channel._id, userId);
+    const channelId = channel._id.toString();
+
+    await publishToUser(application, userId, {
+      type: "unread-count",
+      channelId,
+      channel: channel.uid,
+      unread,
+    });
+    await publishToUser(application, userId, {
+      type: "channel-update",
+      channelId,
+      channel: channel.uid,
+      name: channel.name,
+      unread: formatUnread(channel, unread),
+    });
+  } catch (error) {
+    console.error("[Microsub] Realtime publish error:", error.message);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Realtime event ids and replay buffer
+ * Every published event gets a per-user monotonic id, seeded from the clock
+ * (milliseconds) so ids keep increasing across restarts, quiet periods and
+ * Redis/memory failovers. Replayable events are kept in a bounded per-user
+ * buffer (Redis list, or memory without Redis) so reconnecting clients can
+ * catch up from their Last-Event-ID.
+ * @module realtime/replay
+ */
+
+import { getRedisClient } from "../cache/redis.js";
+
+const MAX_BUFFERED_EVENTS = 200;
+const BUFFER_TTL = 60 * 60 * 24; // 1 day in seconds
+
+// Next id: one more than the last, or the current time if that is higher.
+// The sequence key never expires, so ids can't restart at 1.
+const NEXT_ID_SCRIPT = `
+local id = redis.call("INCR", KEYS[1])
+local now = tonumber(ARGV[1])
+if id < now then
+  redis.call("SET", KEYS[1], now)
+  id = now
+end
+return id
+`;
+
+// Events worth replaying; channel-update is superseded by unread-count
+const REPLAYABLE_EVENTS = new Set([
+  "new-item",
+  "new-notification",
+  "unread-count",
+]);
+
+/** @type {Map<string, { lastId: number, events: Array<object> }>} */
+const memoryBuffers = new Map();
+
+/**
+ * Get Redis keys for a user's event sequence and buffer
+ * @param {string} userId - User ID
+ * @returns {{ seq: string, buffer: string }} Redis keys
+ */
+function getKeys(userId) {
+  return {
+    seq: `microsub:events:${userId}:seq`,
+    buffer: `microsub:events:${userId}`,
+  };
+}
+
+/**
+ * Get a user's in-memory buffer
+ * @param {string} userId - User ID
+ * @returns {{ lastId: number, events: Array<object> }} Buffer
+ */
+function getMemoryBuffer(userId) {
+  if (!memoryBuffers.has(userId)) {
+    memoryBuffers.set(userId, { lastId: 0, events: [] });
+  }
+  return memoryBuffers.get(userId);
+}
+
+/**
+ * Assign an event id and store the event for replay
+ * @param {object} application - Indiekit application
+ * @param {string} userId - User ID
+ * @param {object} data - Event data
+ * @returns {Promise<object>} Event data with `eventId`
+ */
+export async function recordEvent(application, userId, data) {
+  const redis = await getRedisClient(application);
+
+  if (redis) {
+    try {
+      const keys = getKeys(userId);
+      const eventId = await redis.eval(NEXT_ID_SCRIPT, 1, keys.seq, Date.now());
+      const event = { ...data, eventId };
+
+      // Keep the memory sequence ahead of Redis ids for a later failover
+      const buffer = getMemoryBuffer(userId);
+      buffer.lastId = Math.max(buffer.lastId, eventId);
+
+      if (REPLAYABLE_EVENTS.has(data.type)) {
+        await redis
+          .multi()
+          .rpush(keys.buffer, JSON.stringify(event))
+          .ltrim(keys.buffer, -MAX_BUFFERED_EVENTS, -1)
+          .expire(keys.buffer, BUFFER_TTL)
+          .exec();
+      }
+
+      return event;
+    } catch {
+      // Fall through to the in-memory buffer
+    }
+  }
+
+  // Same clock-seeded sequence as the Redis path
+  const buffer = getMemoryBuffer(userId);
+  buffer.lastId = Math.max(buffer.lastId + 1, Date.now());
+  const event = { ...data, eventId: buffer.lastId };
+
+  if (REPLAYABLE_EVENTS.has(data.type)) {
+    buffer.events.push(event);
+    if (buffer.events.length > MAX_BUFFERED_EVENTS) {
+      buffer.events.shift();
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Get buffered events published after an event id
+ * @param {object} application - Indiekit application
+ * @param {string} userId - User ID
+ * @param {string|number} lastEventId - Last event id the client received
+ * @returns {Promise<Array<object>>} Missed events, oldest first
+ */
+export async function getEventsSince(application, userId, lastEventId) {
+  const since = Number.parseInt(lastEventId, 10);
+  if (!Number.isFinite(since)) {
+    return [];
+  }
+
+  const redis = await getRedisClient(application);
+  let events;
+
+  if (redis) {
+    try {
+      const stored = await redis.lrange(getKeys(userId).buffer, 0, -1);
+      events = stored.map((event) => JSON.parse(event));
+    } catch {
+      // Fall back to the in-memory buffer
+    }
+  }
+
+  events ??= memoryBuffers.get(userId)?.events || [];
+
+  return events.filter((event) => event.eventId > since);
+}
@@ -86,6 +86,7 @@ export async function searchItemsRegex(
   const items = await collection
     .find({
       channelId: channelObjectId,
+      _filtered: { $ne: true },
       $or: [
         { name: regex },
         { "content.text": regex },
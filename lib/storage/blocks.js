@@ -0,0 +1,90 @@
+/**
+ * Block list lookups for the ingestion pipeline. Blocks are written by
+ * `lib/controllers/block.js` to `microsub_blocked`; this module is consulted
+ * by the feed processor (polling and WebSub pushes) and the webmention
+ * processor so blocked authors never get stored again.
+ * @module storage/blocks
+ */
+
+import { rootOrigin, urlOrigin, urlVariants } from "../utils/url-match.js";
+
+/**
+ * Get blocked collection from application
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("microsub_blocked");
+}
+
+/**
+ * Build a predicate from a list of blocked URLs. An item is blocked when its
+ * author URL matches a blocked URL, or when its URL (or author URL) lives on
+ * the origin of a blocked site root.
+ * @param {Array<string>} urls - Blocked URLs
+ * @returns {(item: object) => boolean} Returns true for blocked items
+ */
+export function createBlockMatcher(urls) {
+  if (urls.length === 0) {
+    return () => false;
+  }
+
+  const authorUrls = new Set(urls.flatMap((url) => urlVariants(url)));
+  const origins = new Set(urls.map((url) => rootOrigin(url)).filter(Boolean));
+
+  return (item) => {
+    const authorUrl = item.author?.url;
+    if (authorUrl && authorUrls.has(authorUrl)) {
+      return true;
+    }
+
+    for (const url of [item.url, authorUrl]) {
+      const origin = url && urlOrigin(url);
+      if (origin && origins.has(origin)) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Get a block matcher for a user
+ * @param {object} application - Indiekit application
+ * @param {string} [userId] - User ID (all blocks when omitted, single-user mode)
+ * @returns {Promise<(item: object) => boolean>} Block predicate
+ */
+export async function getBlockMatcher(application, userId) {
+  const filter = userId ? { userId } : {};
+  const blocked = await getCollection(application)
+    // eslint-disable-next-line unicorn/no-array-callback-reference -- filter is MongoDB query object
+    .find(filter)
+    .project({ url: 1 })
+    .toArray();
+
+  return createBlockMatcher(blocked.map((b) => b.url));
+}
+
+/**
+ * Create a per-cycle block list cache. The scheduler creates one per polling
+ * cycle so every feed owned by the same user shares a single lookup.
+ * @param {object} application - Indiekit application
+ * @returns {{ get: (userId: string) => Promise<(item: object) => boolean> }} Cache
+ */
+export function createBlockListCache(application) {
+  const matchers = new Map();
+
+  return {
+    get(userId) {
+      const key = userId || "";
+      if (!matchers.has(key)) {
+        const matcher = getBlockMatcher(application, userId);
+        // Don't cache failures — let the next feed retry the lookup
+        matcher.catch(() => matchers.delete(key));
+        matchers.set(key, matcher);
+      }
+      return matchers.get(key);
+    },
+  };
+}
@@ -35,6 +35,11 @@ function getChannelColor(order) {
 
 import { deleteFeedsForChannel } from "./feeds.js";
 import { deleteItemsForChannel } from "./items.js";
+import {
+  DEFAULT_MAX_ITEMS,
+  DEFAULT_MAX_ITEMS_PER_FEED,
+  DEFAULT_MAX_UNREAD_AGE_DAYS,
+} from "./items-retention.js";
 
 /**
  * Get channels collection from application
@@ -133,6 +138,7 @@ async function getUnreadCounts(itemsCollection, channelIds, userId) {
         readBy: { $ne: userId },
         published: { $gte: cutoffDate },
         _stripped: { $ne: true },
+        _filtered: { $ne: true },
       },
     },
     { $group: { _id: "$channelId", count: { $sum: 1 } } },
@@ -142,6 +148,20 @@ async function getUnreadCounts(itemsCollection, channelIds, userId) {
   return new Map(results.map((r) => [r._id.toString(), r.count]));
 }
 
+/**
+ * Format an unread count per the Microsub spec: a number, or a boolean for
+ * channels that opted into showing only an unread indicator ("dot only").
+ * @param {object} channel - Channel document
+ * @param {number} count - Unread item count
+ * @returns {number|boolean} Spec-shaped unread value
+ */
+export function formatUnread(channel, count) {
+  if (channel.settings?.unreadIndicator === "dot") {
+    return count > 0;
+  }
+  return count;
+}
+
 /**
  * Get all channels for a user
  * @param {object} application - Indiekit application
@@ -169,7 +189,7 @@ export async function getChannels(application, userId) {
     return {
       uid: channel.uid,
       name: channel.name,
-      unread: unreadCount > 0 ? unreadCount : false,
+      unread: formatUnread(channel, unreadCount),
     };
   });
 
@@ -216,7 +236,7 @@ export async function getChannelsWithColors(application, userId) {
     return {
       ...channel,
       color: channel.color || getChannelColor(index),
-      unread: unreadCount > 0 ? unreadCount : false,
+      unread: formatUnread(channel, unreadCount),
     };
   });
 
@@ -349,6 +369,8 @@ export async function reorderChannels(application, channelUids, userId) {
  * @param {object} settings - Settings to update
  * @param {Array} [settings.excludeTypes] - Types to exclude
  * @param {string} [settings.excludeRegex] - Regex pattern to exclude
+ * @param {string} [settings.unreadIndicator] - "dot" to report unread as a boolean
+ * @param {boolean} [settings.resurfaceEdits] - Mark significantly edited items unread again
  * @param {string} [userId] - User ID
  * @returns {Promise<object|null>} Updated channel
  */
@@ -361,6 +383,46 @@ export async function updateChannelSettings(
   return updateChannel(application, uid, { settings }, userId);
 }
 
+/**
+ * Resolve a channel's effective settings, filling unset retention caps with
+ * the global defaults. The notifications channel is exempt from retention, so
+ * its caps are reported as null.
+ * @param {object} channel - Channel document
+ * @returns {{ settings: object, inherited: Array<string> }} Effective settings and the keys that use a global default
+ */
+export function getEffectiveSettings(channel) {
+  const settings = channel.settings || {};
+  const isNotifications = channel.uid === "notifications";
+  const inherited = [];
+
+  const retention = {
+    maxItems: DEFAULT_MAX_ITEMS,
+    maxItemsPerFeed: DEFAULT_MAX_ITEMS_PER_FEED,
+    maxUnreadAgeDays: DEFAULT_MAX_UNREAD_AGE_DAYS,
+  };
+  for (const [key, fallback] of Object.entries(retention)) {
+    if (isNotifications) {
+      retention[key] = null;
+    } else if (settings[key] === undefined || settings[key] === null) {
+      retention[key] = fallback;
+      inherited.push(key);
+    } else {
+      retention[key] = settings[key];
+    }
+  }
+
+  return {
+    settings: {
+      excludeTypes: settings.excludeTypes || [],
+      excludeRegex: settings.excludeRegex || null,
+      ...retention,
+      unreadIndicator: settings.unreadIndicator || "count",
+      resurfaceEdits: Boolean(settings.resurfaceEdits),
+    },
+    inherited,
+  };
+}
+
 /**
  * Ensure notifications channel exists
  * @param {object} application - Indiekit application
@@ -5,7 +5,18 @@
 
 import { ObjectId } from "mongodb";
 
-import { deleteItemsForFeed } from "./items.js";
+import { normalizeUrl } from "../utils/url-match.js";
+
+import {
+  applyChannelFilters,
+  deleteItemsForFeed,
+  moveItemsForFeed,
+} from "./items.js";
+
+export { normalizeUrl };
+
+const NOT_FOUND_ATTENTION_THRESHOLD = 3; // Consecutive 404s before flagging
+const MAX_PREVIOUS_URLS = 10;
 
 /**
  * Get feeds collection from application
@@ -16,36 +27,13 @@ function getCollection(application) {
   return application.collections.get("microsub_feeds");
 }
 
-/**
- * Normalize a feed URL for duplicate comparison.
- * Strips trailing slashes, normalizes protocol to https, lowercases hostname.
- * @param {string} url - Feed URL
- * @returns {string} Normalized URL
- */
-export function normalizeUrl(url) {
-  try {
-    const parsed = new URL(url);
-    // Normalize protocol to https
-    parsed.protocol = "https:";
-    // Lowercase hostname
-    parsed.hostname = parsed.hostname.toLowerCase();
-    // Remove trailing slash from path (but keep "/" for root)
-    if (parsed.pathname.length > 1 && parsed.pathname.endsWith("/")) {
-      parsed.pathname = parsed.pathname.slice(0, -1);
-    }
-    return parsed.href;
-  } catch {
-    return url;
-  }
-}
-
 /**
  * Find an existing feed across ALL channels by normalized URL
  * @param {object} application - Indiekit application
  * @param {string} url - Feed URL to check
  * @returns {Promise<object|null>} Existing feed with channel info, or null
  */
-async function findFeedAcrossChannels(application, url) {
+export async function findFeedAcrossChannels(application, url) {
   const collection = getCollection(application);
   const normalized = normalizeUrl(url);
 
@@ -67,8 +55,13 @@ async function findFeedAcrossChannels(application, url) {
     variants.add(url.replace("http://", "https://"));
   }
 
+  // Feeds that moved after a permanent redirect still own their old URLs
   const existing = await collection.findOne({
-    url: { $in: [...variants] },
+    $or: [
+      { url: { $in: [...variants] } },
+      { "previousUrls.url": { $in: [...variants] } },
+      { originalUrl: { $in: [...variants] } },
+    ],
   });
 
   if (!existing) return null;
@@ -177,6 +170,47 @@ export async function getFeedById(application, id) {
   return collection.findOne({ _id: objectId });
 }
 
+/**
+ * Get the URL a feed's items are attributed to. This stays the URL the
+ * feed was followed with after it moves, so item UIDs do not change.
+ * @param {object} feed - Feed document
+ * @returns {string} Source URL
+ */
+export function getItemSourceUrl(feed) {
+  return feed.originalUrl || feed.url;
+}
+
+/**
+ * Move a feed to a new URL after a stable permanent redirect, keeping the
+ * old URL in its history
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {string} url - New feed URL
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function changeFeedUrl(application, feed, url) {
+  const collection = getCollection(application);
+
+  return collection.findOneAndUpdate(
+    { _id: feed._id },
+    {
+      $set: {
+        url,
+        originalUrl: getItemSourceUrl(feed),
+        updatedAt: new Date().toISOString(),
+      },
+      $push: {
+        previousUrls: {
+          $each: [{ url: feed.url, movedAt: new Date().toISOString() }],
+          $slice: -MAX_PREVIOUS_URLS,
+        },
+      },
+      $unset: { redirect: "" },
+    },
+    { returnDocument: "after" },
+  );
+}
+
 /**
  * Update a feed
  * @param {object} application - Indiekit application
@@ -229,6 +263,49 @@ export async function deleteFeed(application, channelId, url) {
   return result.deletedCount > 0;
 }
 
+/**
+ * Move a feed and its stored items to another channel. Polling state (tier,
+ * etag, WebSub subscription) is kept — only the channel assignment changes.
+ * Moved items that don't pass the target channel's exclude filters are
+ * hidden (not deleted), so moving the feed back restores them.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {object} targetChannel - Target channel document
+ * @returns {Promise<object|undefined>} { feed, moved, dropped } (dropped: hidden items) or undefined if the feed doesn't exist
+ */
+export async function moveFeed(application, id, targetChannel) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  const feed = await collection.findOneAndUpdate(
+    { _id: objectId },
+    {
+      $set: {
+        channelId: targetChannel._id,
+        updatedAt: new Date().toISOString(),
+      },
+    },
+    { returnDocument: "after" },
+  );
+  if (!feed) {
+    return;
+  }
+
+  const moved = await moveItemsForFeed(application, feed._id, targetChannel._id);
+  const dropped = await applyChannelFilters(
+    application,
+    targetChannel,
+    feed._id,
+  );
+
+  console.info(
+    `[Microsub] Moved feed ${feed.url} to channel "${targetChannel.name}": ` +
+      `${moved} items moved, ${dropped.length} hidden by channel filters`,
+  );
+
+  return { feed, moved, dropped };
+}
+
 /**
  * Delete all feeds for a channel
  * @param {object} application - Indiekit application
@@ -245,21 +322,102 @@ export async function deleteFeedsForChannel(application, channelId) {
 }
 
 /**
- * Get feeds ready for polling
+ * Claim feeds ready for polling. Each feed is claimed atomically with a
+ * lock expiry, so when several processes poll the same database every due
+ * feed is processed by exactly one of them. A crashed claimant's locks
+ * simply expire.
  * @param {object} application - Indiekit application
- * @returns {Promise<Array>} Array of feeds to fetch
+ * @param {object} options - Claim options
+ * @param {string} options.instanceId - ID of the claiming scheduler
+ * @param {number} options.lockDuration - Lock duration in milliseconds
+ * @param {number} [options.limit] - Maximum feeds to claim
+ * @returns {Promise<Array>} Claimed feeds
  */
-export async function getFeedsToFetch(application, limit = 25) {
+export async function claimFeedsToFetch(
+  application,
+  { instanceId, lockDuration, limit = 25 },
+) {
   const collection = getCollection(application);
   const now = new Date();
+  const feeds = [];
+
+  while (feeds.length < limit) {
+    const feed = await collection.findOneAndUpdate(
+      {
+        status: { $ne: "dead" },
+        $and: [
+          { $or: [{ nextFetchAt: undefined }, { nextFetchAt: { $lte: now } }] },
+          {
+            $or: [
+              { lockedUntil: { $exists: false } },
+              { lockedUntil: { $lte: now } },
+            ],
+          },
+        ],
+      },
+      {
+        $set: {
+          lockedBy: instanceId,
+          lockedUntil: new Date(now.getTime() + lockDuration),
+        },
+      },
+      { sort: { nextFetchAt: 1 }, returnDocument: "after" },
+    );
+
+    if (!feed) {
+      break;
+    }
+    feeds.push(feed);
+  }
+
+  return feeds;
+}
+
+/**
+ * Claim a single feed, due or not (for manual refreshes). Fails if another
+ * claim on the feed is still live.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {object} options - Claim options
+ * @param {string} options.instanceId - ID of the claimant
+ * @param {number} options.lockDuration - Lock duration in milliseconds
+ * @returns {Promise<object|null>} Claimed feed, or null if already claimed
+ */
+export async function claimFeed(application, id, { instanceId, lockDuration }) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+  const now = new Date();
+
+  return collection.findOneAndUpdate(
+    {
+      _id: objectId,
+      $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockDuration),
+      },
+    },
+    { returnDocument: "after" },
+  );
+}
+
+/**
+ * Release a feed claimed by `claimFeedsToFetch` or `claimFeed`
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {string} instanceId - ID of the claiming scheduler
+ * @returns {Promise<object>} Update result
+ */
+export async function releaseFeedClaim(application, id, instanceId) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
 
-  return collection
-    .find({
-      $or: [{ nextFetchAt: undefined }, { nextFetchAt: { $lte: now } }],
-    })
-    .sort({ nextFetchAt: 1 })
-    .limit(limit)
-    .toArray();
+  return collection.updateOne(
+    { _id: objectId, lockedBy: instanceId },
+    { $unset: { lockedBy: "", lockedUntil: "" } },
+  );
 }
 
 /**
@@ -327,6 +485,34 @@ export async function updateFeedAfterFetch(
   );
 }
 
+/**
+ * Record a newly discovered (or changed) WebSub hub. Subscription state is
+ * reset so `renewSubscriptions` subscribes on its next run; a feed that
+ * already has this hub is left alone, so a handshake in progress isn't
+ * overwritten.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {object} websub - WebSub data
+ * @param {string} websub.hub - Hub URL
+ * @param {string} websub.topic - Feed topic URL
+ * @returns {Promise<object|null>} Updated feed, or null if the hub was known
+ */
+export async function recordFeedWebsubHub(application, id, { hub, topic }) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  return collection.findOneAndUpdate(
+    { _id: objectId, "websub.hub": { $ne: hub } },
+    {
+      $set: {
+        websub: { hub, topic },
+        updatedAt: new Date().toISOString(),
+      },
+    },
+    { returnDocument: "after" },
+  );
+}
+
 /**
  * Update feed WebSub subscription
  * @param {object} application - Indiekit application
@@ -368,6 +554,203 @@ export async function updateFeedWebsub(application, id, websub) {
   );
 }
 
+/**
+ * Build an update that merges fields into a feed sub-document; fields set
+ * to `undefined` are removed
+ * @param {string} prefix - Sub-document key
+ * @param {object} fields - Fields to merge
+ * @returns {object} MongoDB update
+ */
+function buildMergeUpdate(prefix, fields) {
+  const $set = { updatedAt: new Date().toISOString() };
+  const $unset = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      $unset[`${prefix}.${key}`] = "";
+    } else {
+      $set[`${prefix}.${key}`] = value;
+    }
+  }
+
+  const update = { $set };
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+  return update;
+}
+
+/**
+ * Merge WebSub subscription state into a feed. Unlike `updateFeedWebsub`,
+ * which replaces the whole record, only the given fields change; fields set
+ * to `undefined` are removed.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {object} fields - WebSub fields (state, secret, expiresAt, renewAt…)
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function setFeedWebsubState(application, id, fields) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  return collection.findOneAndUpdate(
+    { _id: objectId },
+    buildMergeUpdate("websub", fields),
+    { returnDocument: "after" },
+  );
+}
+
+/**
+ * Merge backfill job state into a feed; fields set to `undefined` are
+ * removed
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {object} fields - Backfill fields (state, nextUrl, pages…)
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function setFeedBackfill(application, id, fields) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  return collection.findOneAndUpdate(
+    { _id: objectId },
+    buildMergeUpdate("backfill", fields),
+    { returnDocument: "after" },
+  );
+}
+
+/**
+ * Claim a feed with a queued or interrupted backfill job. The claim is a
+ * lock with an expiry, like `claimFeedsToFetch`, so a job is only run by
+ * one process and resumes elsewhere if its process dies.
+ * @param {object} application - Indiekit application
+ * @param {object} options - Claim options
+ * @param {string} options.instanceId - ID of the claiming scheduler
+ * @param {number} options.lockDuration - Lock duration in milliseconds
+ * @returns {Promise<object|null>} Claimed feed
+ */
+export async function claimFeedForBackfill(
+  application,
+  { instanceId, lockDuration },
+) {
+  const collection = getCollection(application);
+  const now = new Date();
+
+  return collection.findOneAndUpdate(
+    {
+      "backfill.state": { $in: ["queued", "running"] },
+      $or: [
+        { "backfill.lockedUntil": { $exists: false } },
+        { "backfill.lockedUntil": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        "backfill.state": "running",
+        "backfill.lockedBy": instanceId,
+        "backfill.lockedUntil": new Date(now.getTime() + lockDuration),
+      },
+    },
+    { sort: { "backfill.requestedAt": 1 }, returnDocument: "after" },
+  );
+}
+
+/**
+ * Record the time of a content push from the feed's WebSub hub. Push
+ * counts come from the fetch log, where every push is recorded.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @returns {Promise<object>} Update result
+ */
+export async function recordWebsubPush(application, id) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  return collection.updateOne(
+    { _id: objectId },
+    {
+      $set: { "websub.lastPushAt": new Date() },
+      // Push times were once kept here
+      $unset: { "websub.recentPushes": "" },
+    },
+  );
+}
+
+/**
+ * Claim feeds whose WebSub subscription needs attention: leases due for
+ * renewal, failed or denied subscriptions due for a retry, and hubs
+ * discovered before subscription state was tracked. Claimed like
+ * `claimFeedsToFetch`, so with several processes each subscription is only
+ * renewed by one of them.
+ * @param {object} application - Indiekit application
+ * @param {object} options - Claim options
+ * @param {string} options.instanceId - ID of the claiming scheduler
+ * @param {number} options.lockDuration - Lock duration in milliseconds
+ * @param {number} [options.limit] - Maximum feeds to claim
+ * @returns {Promise<Array>} Claimed feeds
+ */
+export async function claimFeedsForWebsubRenewal(
+  application,
+  { instanceId, lockDuration, limit = 10 },
+) {
+  const collection = getCollection(application);
+  const now = new Date();
+  const feeds = [];
+
+  while (feeds.length < limit) {
+    const feed = await collection.findOneAndUpdate(
+      {
+        "websub.hub": { $type: "string" },
+        status: { $ne: "dead" },
+        $and: [
+          {
+            $or: [
+              { "websub.renewAt": { $lte: now } },
+              { "websub.state": { $exists: false } },
+            ],
+          },
+          {
+            $or: [
+              { "websub.lockedUntil": { $exists: false } },
+              { "websub.lockedUntil": { $lte: now } },
+            ],
+          },
+        ],
+      },
+      {
+        $set: {
+          "websub.lockedBy": instanceId,
+          "websub.lockedUntil": new Date(now.getTime() + lockDuration),
+        },
+      },
+      { sort: { "websub.renewAt": 1 }, returnDocument: "after" },
+    );
+
+    if (!feed) {
+      break;
+    }
+    feeds.push(feed);
+  }
+
+  return feeds;
+}
+
+/**
+ * Release a feed claimed by `claimFeedsForWebsubRenewal`
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} id - Feed ObjectId
+ * @param {string} instanceId - ID of the claiming scheduler
+ * @returns {Promise<object>} Update result
+ */
+export async function releaseWebsubClaim(application, id, instanceId) {
+  const collection = getCollection(application);
+  const objectId = typeof id === "string" ? new ObjectId(id) : id;
+
+  return collection.updateOne(
+    { _id: objectId, "websub.lockedBy": instanceId },
+    { $unset: { "websub.lockedBy": "", "websub.lockedUntil": "" } },
+  );
+}
+
 /**
  * Get feed by WebSub subscription ID
  * Used for WebSub callback handling
@@ -381,12 +764,14 @@ export async function getFeedBySubscriptionId(application, subscriptionId) {
 
 /**
  * Update feed status after processing
- * Tracks health status, errors, and success metrics
+ * Tracks health status, errors, and success metrics. A 410 Gone marks the
+ * feed `dead` (no longer polled); repeated 404s mark it `attention`.
  * @param {object} application - Indiekit application
  * @param {ObjectId|string} id - Feed ObjectId
  * @param {object} status - Status update
  * @param {boolean} status.success - Whether fetch was successful
  * @param {string} [status.error] - Error message if failed
+ * @param {number} [status.httpStatus] - HTTP status of a failed fetch
  * @param {number} [status.itemCount] - Number of items in feed
  * @returns {Promise<object|null>} Updated feed
  */
@@ -402,6 +787,7 @@ export async function updateFeedStatus(application, id, status) {
     updateFields.status = "active";
     updateFields.lastSuccessAt = new Date().toISOString();
     updateFields.consecutiveErrors = 0;
+    updateFields.consecutiveNotFound = 0;
     updateFields.lastError = undefined;
     updateFields.lastErrorAt = undefined;
 
@@ -409,9 +795,13 @@ export async function updateFeedStatus(application, id, status) {
       updateFields.itemCount = status.itemCount;
     }
   } else {
-    updateFields.status = "error";
+    updateFields.status = status.httpStatus === 410 ? "dead" : "error";
     updateFields.lastError = status.error;
     updateFields.lastErrorAt = new Date().toISOString();
+
+    if (status.httpStatus !== 404) {
+      updateFields.consecutiveNotFound = 0;
+    }
   }
 
   // Use $set for most fields, $inc for consecutiveErrors on failure
@@ -420,10 +810,23 @@ export async function updateFeedStatus(application, id, status) {
   if (!status.success) {
     // Increment consecutive errors
     updateOp.$inc = { consecutiveErrors: 1 };
+
+    if (status.httpStatus === 404) {
+      updateOp.$inc.consecutiveNotFound = 1;
+    }
   }
 
-  return collection.findOneAndUpdate({ _id: objectId }, updateOp, {
+  const feed = await collection.findOneAndUpdate({ _id: objectId }, updateOp, {
     returnDocument: "after",
   });
-}
 
+  if (feed?.consecutiveNotFound >= NOT_FOUND_ATTENTION_THRESHOLD) {
+    return collection.findOneAndUpdate(
+      { _id: objectId },
+      { $set: { status: "attention" } },
+      { returnDocument: "after" },
+    );
+  }
+
+  return feed;
+}
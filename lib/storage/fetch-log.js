@@ -0,0 +1,118 @@
+/**
+ * Per-feed fetch history. Every poll and WebSub push is recorded in the
+ * capped `microsub_fetch_log` collection, so retention is bounded by size
+ * and the oldest entries are dropped automatically.
+ * @module storage/fetch-log
+ */
+
+import { ObjectId } from "mongodb";
+
+const COLLECTION = "microsub_fetch_log";
+const MAX_SIZE = 16 * 1024 * 1024; // 16 MB
+const MAX_ENTRIES = 50_000;
+
+/**
+ * Get fetch log collection from application
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get(COLLECTION);
+}
+
+/**
+ * Create the capped fetch log collection and its index. An existing
+ * uncapped collection (e.g. created by an insert before this ran) is
+ * converted.
+ * @param {object} application - Indiekit application with `database`
+ * @returns {Promise<void>}
+ */
+export async function createFetchLog(application) {
+  const { database } = application;
+
+  const [existing] = await database
+    .listCollections({ name: COLLECTION })
+    .toArray();
+
+  if (!existing) {
+    await database.createCollection(COLLECTION, {
+      capped: true,
+      size: MAX_SIZE,
+      max: MAX_ENTRIES,
+    });
+  } else if (!existing.options?.capped) {
+    await database.command({ convertToCapped: COLLECTION, size: MAX_SIZE });
+  }
+
+  await database
+    .collection(COLLECTION)
+    .createIndex({ feedId: 1, fetchedAt: -1 });
+}
+
+/**
+ * Record a fetch
+ * @param {object} application - Indiekit application
+ * @param {object} entry - Fetch details
+ * @param {ObjectId} entry.feedId - Feed ObjectId
+ * @param {number} [entry.status] - HTTP status
+ * @param {number} [entry.duration] - Duration in ms
+ * @param {number} [entry.bytes] - Response body size
+ * @param {number} [entry.itemsParsed] - Items found in the response
+ * @param {number} [entry.itemsAdded] - New items stored
+ * @param {boolean} [entry.notModified] - Whether the response was a 304
+ * @param {boolean} [entry.websub] - Whether the content was a WebSub push
+ * @param {string} [entry.error] - Error message if the fetch failed
+ * @returns {Promise<void>}
+ */
+export async function recordFetch(application, entry) {
+  const collection = getCollection(application);
+
+  await collection.insertOne({
+    feedId: entry.feedId,
+    fetchedAt: new Date(),
+    status: entry.status,
+    duration: entry.duration,
+    bytes: entry.bytes,
+    itemsParsed: entry.itemsParsed || 0,
+    itemsAdded: entry.itemsAdded || 0,
+    notModified: Boolean(entry.notModified),
+    websub: Boolean(entry.websub),
+    error: entry.error,
+  });
+}
+
+/**
+ * Get the most recent fetches for a feed
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} feedId - Feed ObjectId
+ * @param {number} [limit] - Maximum entries
+ * @returns {Promise<Array>} Fetches, newest first
+ */
+export async function getFetchLog(application, feedId, limit = 30) {
+  const collection = getCollection(application);
+  const objectId = typeof feedId === "string" ? new ObjectId(feedId) : feedId;
+
+  return collection
+    .find({ feedId: objectId })
+    .sort({ fetchedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Count a feed's WebSub pushes (fat and thin pings) since a given time
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} feedId - Feed ObjectId
+ * @param {Date} since - Start of the period
+ * @returns {Promise<number>} Number of pushes
+ */
+export async function countWebsubPushes(application, feedId, since) {
+  const collection = getCollection(application);
+  const objectId = typeof feedId === "string" ? new ObjectId(feedId) : feedId;
+
+  return collection.countDocuments({
+    feedId: objectId,
+    websub: true,
+    fetchedAt: { $gte: since },
+  });
+}
@@ -5,9 +5,10 @@
  *
  * Historical note: this module previously also held mute/block storage
  * (microsub_muted / microsub_blocked operations). That code path was abandoned
- * — those collections are managed directly by `lib/controllers/mute.js` and
- * `lib/controllers/block.js` against MongoDB without an intermediate storage
- * helper layer. Only the per-channel exclude filters remain here.
+ * — those collections are written directly by `lib/controllers/mute.js` and
+ * `lib/controllers/block.js`. Mutes are applied at read time by
+ * `lib/storage/mutes.js` and blocks at ingestion time by `lib/storage/blocks.js`.
+ * Only the per-channel exclude filters remain here.
  *
  * @module storage/filters
  */
@@ -21,9 +21,12 @@ import { getCollection } from "./items.js";
  * @param {string} userId - User ID
  */
 async function cleanupOldReadItems(collection, channelObjectId, userId) {
+  // Backfilled history is stored read on purpose; leave it whole. Retention
+  // caps how much of it each feed keeps.
   const readCount = await collection.countDocuments({
     channelId: channelObjectId,
     readBy: userId,
+    backfilled: { $ne: true },
   });
 
   if (readCount > MAX_FULL_READ_ITEMS) {
@@ -32,6 +35,7 @@ async function cleanupOldReadItems(collection, channelObjectId, userId) {
         channelId: channelObjectId,
         readBy: userId,
         _stripped: { $ne: true },
+        backfilled: { $ne: true },
       })
       .sort({ published: -1, _id: -1 })
       .skip(MAX_FULL_READ_ITEMS)
@@ -90,14 +94,16 @@ export async function markItemsRead(application, channelId, entryIds, userId) {
   // Handle "last-read-entry" special value
   if (entryIds.includes("last-read-entry")) {
     // Mark all items in channel as read
-    const result = await collection.updateMany(
-      { channelId: channelObjectId },
-      { $addToSet: { readBy: userId } },
-    );
+    const channelQuery = { channelId: channelObjectId };
+    const result = await collection.updateMany(channelQuery, {
+      $addToSet: { readBy: userId },
+    });
     console.info(
       `[Microsub] Marked all items as read: ${result.modifiedCount} updated`,
     );
 
+    await markCopiesRead(application, channelQuery, userId);
+
     // Cleanup old read items, keeping only the most recent
     await cleanupOldReadItems(collection, channelObjectId, userId);
 
@@ -116,22 +122,126 @@ export async function markItemsRead(application, channelId, entryIds, userId) {
     .filter(Boolean);
 
   // Build query to match by _id, uid, or url (Microsub spec uses URLs as entry identifiers)
+  const entryQuery = {
+    channelId: channelObjectId,
+    $or: [
+      ...(objectIds.length > 0 ? [{ _id: { $in: objectIds } }] : []),
+      { uid: { $in: entryIds } },
+      { url: { $in: entryIds } },
+    ],
+  };
+  const result = await collection.updateMany(entryQuery, {
+    $addToSet: { readBy: userId },
+  });
+
+  console.info(
+    `[Microsub] markItemsRead result: ${result.modifiedCount} items updated`,
+  );
+
+  await markCopiesRead(application, entryQuery, userId);
+
+  return result.modifiedCount;
+}
+
+/**
+ * Mark copies of the given items in the user's other channels as read, so
+ * an article that arrived in several channels only has to be read once
+ * @param {object} application - Indiekit application
+ * @param {object} entryQuery - Query matching the items just marked read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of copies updated
+ */
+async function markCopiesRead(application, entryQuery, userId) {
+  const collection = getCollection(application);
+
+  const canonicalUrls = await collection.distinct("canonicalUrl", entryQuery);
+  const urls = canonicalUrls.filter(Boolean);
+  if (urls.length === 0) {
+    return 0;
+  }
+
+  const channels = await application.collections
+    .get("microsub_channels")
+    .find(userId ? { userId } : {})
+    .project({ _id: 1 })
+    .toArray();
+
   const result = await collection.updateMany(
+    {
+      canonicalUrl: { $in: urls },
+      channelId: {
+        $in: channels.map((channel) => channel._id),
+        $ne: entryQuery.channelId,
+      },
+    },
+    { $addToSet: { readBy: userId } },
+  );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Mark everything up to and including an entry as read (Microsub
+ * `last_read_entry`). "Up to" follows timeline order — the same
+ * published/_id ordering as `buildPaginationSort` — so the entry and every
+ * item older than it are marked read, while newer items stay unread.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} channelId - Channel ObjectId
+ * @param {string} entryId - Last read entry (ObjectId, uid, or URL)
+ * @param {string} userId - User ID
+ * @returns {Promise<number|undefined>} Number of items updated, or undefined if the entry was not found
+ */
+export async function markItemsReadUpTo(
+  application,
+  channelId,
+  entryId,
+  userId,
+) {
+  const collection = getCollection(application);
+  const channelObjectId =
+    typeof channelId === "string" ? new ObjectId(channelId) : channelId;
+
+  let objectId;
+  try {
+    objectId = new ObjectId(entryId);
+  } catch {
+    // Not an ObjectId — match by uid or url only
+  }
+
+  const entry = await collection.findOne(
     {
       channelId: channelObjectId,
       $or: [
-        ...(objectIds.length > 0 ? [{ _id: { $in: objectIds } }] : []),
-        { uid: { $in: entryIds } },
-        { url: { $in: entryIds } },
+        ...(objectId ? [{ _id: objectId }] : []),
+        { uid: entryId },
+        { url: entryId },
       ],
     },
-    { $addToSet: { readBy: userId } },
+    { projection: { published: 1 } },
   );
+  if (!entry) {
+    return;
+  }
+
+  const upToQuery = {
+    channelId: channelObjectId,
+    $or: [
+      { published: { $lt: entry.published } },
+      { published: entry.published, _id: { $lte: entry._id } },
+    ],
+  };
+  const result = await collection.updateMany(upToQuery, {
+    $addToSet: { readBy: userId },
+  });
 
   console.info(
-    `[Microsub] markItemsRead result: ${result.modifiedCount} items updated`,
+    `[Microsub] markItemsReadUpTo ${entryId}: ${result.modifiedCount} items updated`,
   );
 
+  await markCopiesRead(application, upToQuery, userId);
+
+  await cleanupOldReadItems(collection, channelObjectId, userId);
+
   return result.modifiedCount;
 }
 
@@ -155,15 +265,17 @@ export async function markFeedItemsRead(
   const feedObjectId =
     typeof feedId === "string" ? new ObjectId(feedId) : feedId;
 
-  const result = await collection.updateMany(
-    { channelId: channelObjectId, feedId: feedObjectId },
-    { $addToSet: { readBy: userId } },
-  );
+  const feedQuery = { channelId: channelObjectId, feedId: feedObjectId };
+  const result = await collection.updateMany(feedQuery, {
+    $addToSet: { readBy: userId },
+  });
 
   console.info(
     `[Microsub] markFeedItemsRead: marked ${result.modifiedCount} items from feed ${feedId} as read`,
   );
 
+  await markCopiesRead(application, feedQuery, userId);
+
   // Cleanup old read items
   await cleanupOldReadItems(collection, channelObjectId, userId);
 
@@ -254,5 +366,6 @@ export async function getUnreadCount(application, channelId, userId) {
     readBy: { $ne: userId },
     published: { $gte: cutoffDate },
     _stripped: { $ne: true },
+    _filtered: { $ne: true },
   });
 }
@@ -14,10 +14,16 @@ export const DEFAULT_MAX_ITEMS = 1000;
 export const DEFAULT_MAX_ITEMS_PER_FEED = 50;
 export const DEFAULT_MAX_UNREAD_AGE_DAYS = 30;
 
+// Backfilled history sits outside the per-feed and channel caps above, which
+// would otherwise delete it as soon as it's fetched, but has a ceiling of its
+// own so repeated backfills can't grow a feed without limit.
+export const MAX_BACKFILLED_ITEMS_PER_FEED = 500;
+
 /**
  * Cleanup all read items across all channels (startup cleanup).
  * Read items beyond MAX_FULL_READ_ITEMS are stripped to skeletons (kept for
- * dedup, content removed).
+ * dedup, content removed). Backfilled items are left whole; their number is
+ * bounded by MAX_BACKFILLED_ITEMS_PER_FEED instead.
  * @param {object} application - Indiekit application
  * @returns {Promise<number>} Total number of items cleaned up
  */
@@ -41,6 +47,7 @@ export async function cleanupAllReadItems(application) {
         channelId: channel._id,
         readBy: userId,
         _stripped: { $ne: true },
+        backfilled: { $ne: true },
       });
 
       if (readCount > MAX_FULL_READ_ITEMS) {
@@ -49,6 +56,7 @@ export async function cleanupAllReadItems(application) {
             channelId: channel._id,
             readBy: userId,
             _stripped: { $ne: true },
+            backfilled: { $ne: true },
           })
           .sort({ published: -1, _id: -1 })
           .skip(MAX_FULL_READ_ITEMS)
@@ -111,6 +119,11 @@ export async function cleanupAllReadItems(application) {
  * feed cannot starve other feeds in the channel of representation after the
  * channel-wide trim.
  *
+ * Backfilled items (older history fetched on request) are exempt from all
+ * three passes, which would drop them straight away for being old. Instead
+ * the per-feed pass keeps the most recent MAX_BACKFILLED_ITEMS_PER_FEED of
+ * them and drops the rest.
+ *
  * @param {object} application - Indiekit application
  * @returns {Promise<number>} Total number of items deleted across all channels
  */
@@ -141,9 +154,11 @@ export async function cleanupStaleItems(application) {
     let channelCapDeleted = 0;
 
     // 1. Drop stripped skeletons older than cutoff (served their dedup purpose).
+    // Filter-hidden items are kept so moving their feed back restores them.
     const strippedResult = await itemsCollection.deleteMany({
       channelId: channel._id,
       _stripped: true,
+      _filtered: { $ne: true },
       $or: [
         { published: { $lt: cutoff } },
         {
@@ -158,6 +173,7 @@ export async function cleanupStaleItems(application) {
     const unreadAgeResult = await itemsCollection.deleteMany({
       channelId: channel._id,
       _stripped: { $ne: true },
+      backfilled: { $ne: true },
       $and: [
         {
           $or: [
@@ -181,7 +197,8 @@ export async function cleanupStaleItems(application) {
     channelDeleted += staleDeleted;
 
     // 2. Per-feed cap. Iterate feeds in the channel; for each, delete oldest
-    //    items beyond maxItemsPerFeed regardless of read state.
+    //    items beyond maxItemsPerFeed regardless of read state, and oldest
+    //    backfilled items beyond MAX_BACKFILLED_ITEMS_PER_FEED.
     const feedIds = await itemsCollection.distinct("feedId", {
       channelId: channel._id,
       feedId: { $exists: true, $ne: null },
@@ -189,14 +206,25 @@ export async function cleanupStaleItems(application) {
 
     for (const feedId of feedIds) {
       const excess = await itemsCollection
-        .find({ channelId: channel._id, feedId })
+        .find({
+          channelId: channel._id,
+          feedId,
+          backfilled: { $ne: true },
+        })
         .sort({ published: -1, _id: -1 })
         .skip(maxItemsPerFeed)
         .project({ _id: 1 })
         .toArray();
 
-      if (excess.length > 0) {
-        const ids = excess.map((item) => item._id);
+      const excessBackfilled = await itemsCollection
+        .find({ channelId: channel._id, feedId, backfilled: true })
+        .sort({ published: -1, _id: -1 })
+        .skip(MAX_BACKFILLED_ITEMS_PER_FEED)
+        .project({ _id: 1 })
+        .toArray();
+
+      const ids = [...excess, ...excessBackfilled].map((item) => item._id);
+      if (ids.length > 0) {
         const result = await itemsCollection.deleteMany({
           _id: { $in: ids },
         });
@@ -208,7 +236,7 @@ export async function cleanupStaleItems(application) {
     // 3. Channel-wide cap. Catches items without feedId plus anything still over
     //    the per-channel ceiling after the per-feed pass.
     const excessChannel = await itemsCollection
-      .find({ channelId: channel._id })
+      .find({ channelId: channel._id, backfilled: { $ne: true } })
       .sort({ published: -1, _id: -1 })
       .skip(maxItems)
       .project({ _id: 1 })
@@ -3,6 +3,8 @@
  * @module storage/items
  */
 
+import crypto from "node:crypto";
+
 import { ObjectId } from "mongodb";
 
 import { extractImagesFromHtml } from "../utils/html.js";
@@ -13,6 +15,12 @@ import {
   parseLimit,
 } from "../utils/pagination.js";
 
+import { canonicalItemUrl } from "../utils/url-match.js";
+
+import { passesRegexFilter, passesTypeFilter } from "./filters.js";
+import { getMuteConditions } from "./mutes.js";
+import { enrichItemsWithPlayback } from "./playback.js";
+
 /**
  * Get items collection from application
  * @param {object} application - Indiekit application
@@ -89,8 +97,12 @@ export function transformToJf2(item, userId) {
   if (item.content) jf2.content = item.content;
   if (item.summary) jf2.summary = item.summary;
   if (item.updated) jf2.updated = item.updated.toISOString(); // Convert Date to ISO string
+  if (item.edited) jf2._edited = true;
   if (item.author) jf2.author = normalizeAuthor(item.author);
   if (item.category?.length > 0) jf2.category = item.category;
+  if (item.sources?.length > 0) {
+    jf2._sources = item.sources.map(({ name, url }) => ({ name, url }));
+  }
 
   // Normalize media arrays to ensure they contain URL strings
   const photos = normalizeMediaArray(item.photo);
@@ -108,6 +120,7 @@ export function transformToJf2(item, userId) {
   if (photos.length > 0) jf2.photo = photos;
   if (videos.length > 0) jf2.video = videos;
   if (audios.length > 0) jf2.audio = audios;
+  if (item.podcast) jf2._podcast = item.podcast;
 
   // Interaction types
   if (item.likeOf?.length > 0) jf2["like-of"] = item.likeOf;
@@ -196,9 +209,15 @@ function safeHostname(url) {
  * @param {ObjectId} data.feedId - Feed ObjectId
  * @param {string} data.uid - Unique item identifier
  * @param {object} data.item - jf2 item data
+ * @param {Array} [data.readBy] - User IDs the item starts as read for
+ * @param {boolean} [data.backfilled] - Item comes from a history backfill
+ *   (exempt from retention caps and read-item stripping)
  * @returns {Promise<object|null>} Created item or null if duplicate
  */
-export async function addItem(application, { channelId, feedId, uid, item }) {
+export async function addItem(
+  application,
+  { channelId, feedId, uid, item, readBy = [], backfilled = false },
+) {
   const collection = getCollection(application);
 
   const document = {
@@ -207,6 +226,7 @@ export async function addItem(application, { channelId, feedId, uid, item }) {
     uid,
     type: item.type || "entry",
     url: item.url,
+    canonicalUrl: canonicalItemUrl(item._canonical || item.url),
     name: item.name || undefined,
     content: item.content || undefined,
     summary: item.summary || undefined,
@@ -217,12 +237,14 @@ export async function addItem(application, { channelId, feedId, uid, item }) {
     photo: item.photo || [],
     video: item.video || [],
     audio: item.audio || [],
+    podcast: item._podcast || undefined,
     likeOf: item["like-of"] || item.likeOf || [],
     repostOf: item["repost-of"] || item.repostOf || [],
     bookmarkOf: item["bookmark-of"] || item.bookmarkOf || [],
     inReplyTo: item["in-reply-to"] || item.inReplyTo || [],
     source: item._source || undefined,
-    readBy: [], // Array of user IDs who have read this item
+    readBy, // Array of user IDs who have read this item
+    backfilled: backfilled || undefined,
     createdAt: new Date().toISOString(),
   };
 
@@ -236,6 +258,215 @@ export async function addItem(application, { channelId, feedId, uid, item }) {
   }
 }
 
+/**
+ * Merge an item into a copy of the same article already stored in the
+ * channel from another feed (matched by canonical URL). The feed is added to
+ * the stored item's `sources` instead of storing a second copy.
+ * @param {object} application - Indiekit application
+ * @param {object} data - Item data
+ * @param {ObjectId} data.channelId - Channel ObjectId
+ * @param {string} data.uid - Unique item identifier
+ * @param {object} data.item - Fetched jf2 item
+ * @param {object} data.source - Source to record (`feedId`, `name`, `url`)
+ * @returns {Promise<object|undefined>} Stored copy, if there is one
+ */
+export async function mergeDuplicateItem(
+  application,
+  { channelId, uid, item, source },
+) {
+  const collection = getCollection(application);
+  const canonicalUrl = canonicalItemUrl(item._canonical || item.url);
+  if (!canonicalUrl) {
+    return;
+  }
+
+  const existing = await collection.findOne({
+    channelId,
+    canonicalUrl,
+    uid: { $ne: uid },
+  });
+  if (!existing) {
+    return;
+  }
+
+  const isKnownSource =
+    existing.feedId?.equals(source.feedId) ||
+    existing.sources?.some((known) => known.feedId?.equals(source.feedId));
+  if (!isKnownSource) {
+    await collection.updateOne(
+      { _id: existing._id },
+      { $push: { sources: source } },
+    );
+  }
+
+  return existing;
+}
+
+/**
+ * Collapse text for edit comparison
+ * @param {string} [text] - Text
+ * @returns {string} Text with whitespace collapsed
+ */
+function collapseText(text) {
+  return (text || "").replaceAll(/\s+/g, " ").trim();
+}
+
+/**
+ * Hash the content a feed published for an item. Items whose content was
+ * replaced by the full article keep this hash, so later polls can still
+ * tell whether the author changed the feed's copy.
+ * @param {object} item - Fetched jf2 item
+ * @returns {string} Content hash
+ */
+function hashFeedContent(item) {
+  return crypto
+    .createHash("sha256")
+    .update(`${item.content?.html || ""}\n${collapseText(item.summary)}`)
+    .digest("hex");
+}
+
+/**
+ * Whether an edit is significant enough to show the item as unread again:
+ * a new title, or body text that grew or shrank by a fifth or more
+ * @param {object} stored - Stored item
+ * @param {object} item - Fetched jf2 item
+ * @returns {boolean} Whether the change is significant
+ */
+export function isSignificantEdit(stored, item) {
+  if (collapseText(stored.name) !== collapseText(item.name)) {
+    return true;
+  }
+
+  const before = collapseText(stored.content?.text).length;
+  const after = collapseText(item.content?.text).length;
+  return Math.abs(after - before) >= Math.max(before, 1) * 0.2;
+}
+
+/**
+ * Apply an author's edit to an already-stored item. The item is updated in
+ * place when its `updated` date or content differs from the stored copy.
+ * Only content changes flag it `edited` (some feeds bump `updated` on every
+ * build); read state is kept unless `resurface` is set and the edit is
+ * significant. Stripped dedup skeletons are left alone. For items holding
+ * an extracted full article, only changes to the feed's copy count.
+ * @param {object} application - Indiekit application
+ * @param {object} data - Item data
+ * @param {ObjectId} data.channelId - Channel ObjectId
+ * @param {string} data.uid - Unique item identifier
+ * @param {object} data.item - Fetched jf2 item
+ * @param {object} [options] - Options
+ * @param {boolean} [options.resurface] - Mark significantly edited items unread
+ * @returns {Promise<object|undefined>} `{ item, resurfaced, contentChanged }`
+ *   if the item changed
+ */
+export async function applyItemEdit(
+  application,
+  { channelId, uid, item },
+  options = {},
+) {
+  const collection = getCollection(application);
+
+  const stored = await collection.findOne({
+    channelId,
+    uid,
+    _stripped: { $ne: true },
+  });
+  if (!stored) {
+    return;
+  }
+
+  const updated = item.updated ? new Date(item.updated) : undefined;
+  const isUpdatedChanged =
+    updated && updated.getTime() !== stored.updated?.getTime();
+  // Extracted items hold the full article, so compare the feed's copy
+  const isContentChanged =
+    collapseText(stored.name) !== collapseText(item.name) ||
+    (stored.extracted
+      ? stored.extracted.feedHash !== hashFeedContent(item)
+      : (stored.content?.html || "") !== (item.content?.html || "") ||
+        collapseText(stored.summary) !== collapseText(item.summary));
+
+  if (!isUpdatedChanged && !isContentChanged) {
+    return;
+  }
+
+  const resurfaced =
+    Boolean(options.resurface) &&
+    isContentChanged &&
+    stored.readBy?.length > 0 &&
+    isSignificantEdit(
+      stored.extracted
+        ? { name: stored.name, content: { text: stored.summary } }
+        : stored,
+      item,
+    );
+
+  const update = {
+    name: item.name || undefined,
+    content: item.content || undefined,
+    summary: item.summary || undefined,
+    updated: updated || stored.updated,
+    category: item.category || [],
+    photo: item.photo || [],
+    video: item.video || [],
+    audio: item.audio || [],
+    podcast: item._podcast || undefined,
+  };
+  if (isContentChanged) {
+    update.edited = true;
+    update.editedAt = new Date().toISOString();
+  } else if (stored.extracted) {
+    // Only the date moved: keep the extracted article
+    delete update.content;
+    delete update.summary;
+  }
+  if (resurfaced) {
+    update.readBy = [];
+  }
+
+  const changes = { $set: update };
+  if (isContentChanged && stored.extracted) {
+    changes.$unset = { extracted: "" };
+  }
+
+  const result = await collection.findOneAndUpdate(
+    { _id: stored._id },
+    changes,
+    { returnDocument: "after" },
+  );
+
+  return { item: result, resurfaced, contentChanged: isContentChanged };
+}
+
+/**
+ * Replace an item's content with the full article extracted from its page.
+ * The feed's teaser is kept as `summary`.
+ * @param {object} application - Indiekit application
+ * @param {ObjectId} id - Item ObjectId
+ * @param {object} data - Extraction data
+ * @param {object} data.item - jf2 item as published by the feed
+ * @param {object} data.content - Extracted `{ html, text }`
+ * @returns {Promise<object|null>} Updated item
+ */
+export async function setItemFullContent(application, id, { item, content }) {
+  const collection = getCollection(application);
+
+  return collection.findOneAndUpdate(
+    { _id: id },
+    {
+      $set: {
+        content,
+        summary: item.summary || item.content?.text || undefined,
+        extracted: {
+          at: new Date().toISOString(),
+          feedHash: hashFeedContent(item),
+        },
+      },
+    },
+    { returnDocument: "after" },
+  );
+}
+
 /**
  * Get timeline items for a channel
  * @param {object} application - Indiekit application
@@ -254,13 +485,28 @@ export async function getTimelineItems(application, channelId, options = {}) {
     typeof channelId === "string" ? new ObjectId(channelId) : channelId;
   const limit = parseLimit(options.limit);
 
-  // Base query - filter out read items unless showRead is true,
-  // and always exclude stripped dedup skeletons (no content to display)
-  const baseQuery = { channelId: objectId, _stripped: { $ne: true } };
+  // Base query - filter out read items unless showRead is true, and always
+  // exclude stripped dedup skeletons (no content to display) and items
+  // hidden by the channel's filters after a move
+  const baseQuery = {
+    channelId: objectId,
+    _stripped: { $ne: true },
+    _filtered: { $ne: true },
+  };
   if (options.userId && !options.showRead) {
     baseQuery.readBy = { $ne: options.userId };
   }
 
+  // Hide muted authors/feeds (global mutes plus this channel's mutes)
+  const muteConditions = await getMuteConditions(
+    application,
+    options.userId,
+    objectId,
+  );
+  if (muteConditions) {
+    baseQuery.$nor = muteConditions;
+  }
+
   const query = buildPaginationQuery({
     before: options.before,
     after: options.after,
@@ -286,6 +532,7 @@ export async function getTimelineItems(application, channelId, options = {}) {
   // Transform to jf2 format
   const jf2Items = items.map((item) => transformToJf2(item, options.userId));
   await enrichItemsWithFeedSource(application, jf2Items);
+  await enrichItemsWithPlayback(application, jf2Items, options.userId);
 
   // Generate paging cursors
   const paging = generatePagingCursors(items, limit, hasMore, options.before);
@@ -313,7 +560,7 @@ export async function getAllTimelineItems(application, options = {}) {
   const limit = parseLimit(options.limit);
 
   // Base query - no channelId filter (cross-channel)
-  const baseQuery = { _stripped: { $ne: true } };
+  const baseQuery = { _stripped: { $ne: true }, _filtered: { $ne: true } };
 
   if (options.userId && !options.showRead) {
     baseQuery.readBy = { $ne: options.userId };
@@ -328,6 +575,12 @@ export async function getAllTimelineItems(application, options = {}) {
     };
   }
 
+  // Hide muted authors/feeds — channel-scoped mutes only match their channel
+  const muteConditions = await getMuteConditions(application, options.userId);
+  if (muteConditions) {
+    baseQuery.$nor = muteConditions;
+  }
+
   const query = buildPaginationQuery({
     before: options.before,
     after: options.after,
@@ -351,6 +604,7 @@ export async function getAllTimelineItems(application, options = {}) {
 
   const jf2Items = items.map((item) => transformToJf2(item, options.userId));
   await enrichItemsWithFeedSource(application, jf2Items);
+  await enrichItemsWithPlayback(application, jf2Items, options.userId);
 
   const paging = generatePagingCursors(items, limit, hasMore, options.before);
 
@@ -391,6 +645,7 @@ export async function getItemById(application, id, userId) {
 
   const jf2 = transformToJf2(item, userId);
   await enrichItemsWithFeedSource(application, [jf2]);
+  await enrichItemsWithPlayback(application, [jf2], userId);
   return jf2;
 }
 
@@ -459,6 +714,80 @@ export async function deleteItemsForFeed(application, feedId) {
   return result.deletedCount;
 }
 
+/**
+ * Reassign all items of a feed to another channel
+ * @param {object} application - Indiekit application
+ * @param {ObjectId|string} feedId - Feed ObjectId
+ * @param {ObjectId|string} channelId - Target channel ObjectId
+ * @returns {Promise<number>} Number of moved items
+ */
+export async function moveItemsForFeed(application, feedId, channelId) {
+  const collection = getCollection(application);
+  const feedObjectId = typeof feedId === "string" ? new ObjectId(feedId) : feedId;
+  const channelObjectId =
+    typeof channelId === "string" ? new ObjectId(channelId) : channelId;
+
+  // Clear stale copies in the target channel first so the unique
+  // (channelId, uid) index can't reject the move halfway through
+  const uids = await collection.distinct("uid", { feedId: feedObjectId });
+  await collection.deleteMany({
+    channelId: channelObjectId,
+    feedId: { $ne: feedObjectId },
+    uid: { $in: uids },
+  });
+
+  const result = await collection.updateMany(
+    { feedId: feedObjectId },
+    { $set: { channelId: channelObjectId } },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Run a channel's exclude filters over a feed's stored items (used after
+ * moving a feed into the channel). Items that don't pass are flagged
+ * `_filtered` and hidden from timelines and unread counts, and items hidden
+ * by a previous channel's filters are shown again, so moving a feed back
+ * undoes the move.
+ * @param {object} application - Indiekit application
+ * @param {object} channel - Channel document with settings
+ * @param {ObjectId|string} feedId - Feed ObjectId
+ * @returns {Promise<Array<object>>} Hidden items ({ url, name })
+ */
+export async function applyChannelFilters(application, channel, feedId) {
+  const collection = getCollection(application);
+  const feedObjectId = typeof feedId === "string" ? new ObjectId(feedId) : feedId;
+
+  await collection.updateMany(
+    { feedId: feedObjectId, _filtered: true },
+    { $unset: { _filtered: "" } },
+  );
+
+  const settings = channel.settings;
+  if (!settings?.excludeTypes?.length && !settings?.excludeRegex) {
+    return [];
+  }
+
+  const items = await collection
+    .find({ feedId: feedObjectId, _stripped: { $ne: true } })
+    .toArray();
+
+  // Filters expect jf2 property names (like-of, repost-of, …)
+  const hidden = items.filter((item) => {
+    const jf2 = transformToJf2(item);
+    return !passesTypeFilter(jf2, settings) || !passesRegexFilter(jf2, settings);
+  });
+
+  if (hidden.length > 0) {
+    await collection.updateMany(
+      { _id: { $in: hidden.map((item) => item._id) } },
+      { $set: { _filtered: true } },
+    );
+  }
+
+  return hidden.map((item) => ({ url: item.url, name: item.name }));
+}
+
 /**
  * Delete items by author URL (for blocking)
  * @param {object} application - Indiekit application
@@ -499,6 +828,9 @@ export async function createIndexes(application) {
   // URL matching index for mark_read operations
   await collection.createIndex({ channelId: 1, url: 1 });
 
+  // Cross-feed duplicate detection and read state propagation
+  await collection.createIndex({ canonicalUrl: 1, channelId: 1 });
+
   // Compound index for unread count aggregation (P7)
   await collection.createIndex({ channelId: 1, _stripped: 1, published: -1 });
 
@@ -0,0 +1,108 @@
+/**
+ * Read-time mute filtering. Mutes are stored by `lib/controllers/mute.js` in
+ * `microsub_muted` and applied here when timelines are queried, so muted
+ * authors are hidden (not deleted) and reappear as soon as they are unmuted.
+ * @module storage/mutes
+ */
+
+import { escapeRegex, rootOrigin, urlVariants } from "../utils/url-match.js";
+
+/**
+ * Get muted collection from application
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("microsub_muted");
+}
+
+/**
+ * Build match conditions for a set of muted URLs
+ * @param {Array<string>} urls - Muted URLs
+ * @param {Array<import("mongodb").ObjectId>} feedIds - IDs of muted feeds
+ * @returns {Array<object>} MongoDB conditions, any of which marks an item muted
+ */
+function buildConditions(urls, feedIds) {
+  const conditions = [];
+
+  const variants = urls.flatMap((url) => urlVariants(url));
+  if (variants.length > 0) {
+    conditions.push({ "author.url": { $in: variants } });
+  }
+
+  if (feedIds.length > 0) {
+    conditions.push({ feedId: { $in: feedIds } });
+  }
+
+  const origins = [...new Set(urls.map((url) => rootOrigin(url)))].filter(
+    Boolean,
+  );
+  if (origins.length > 0) {
+    const pattern = new RegExp(
+      `^(${origins.map((origin) => escapeRegex(origin)).join("|")})(/|$)`,
+      "i",
+    );
+    conditions.push({ url: pattern }, { "author.url": pattern });
+  }
+
+  return conditions;
+}
+
+/**
+ * Build a MongoDB `$nor` clause that excludes items muted by a user.
+ * Global mutes (no channelId) apply everywhere; channel-scoped mutes only
+ * exclude items belonging to their channel.
+ * @param {object} application - Indiekit application
+ * @param {string} userId - User ID
+ * @param {import("mongodb").ObjectId} [channelId] - Restrict to mutes relevant to one channel
+ * @returns {Promise<Array<object>|undefined>} `$nor` conditions, or undefined when nothing is muted
+ */
+export async function getMuteConditions(application, userId, channelId) {
+  if (!userId) {
+    return;
+  }
+
+  const filter = { userId };
+  if (channelId) {
+    filter.channelId = { $in: [null, channelId] };
+  }
+
+  // eslint-disable-next-line unicorn/no-array-callback-reference -- filter is MongoDB query object
+  const muted = await getCollection(application).find(filter).toArray();
+  if (muted.length === 0) {
+    return;
+  }
+
+  // Resolve muted feed URLs to feed IDs in a single query
+  const feeds = await application.collections
+    .get("microsub_feeds")
+    .find({ url: { $in: muted.flatMap((m) => urlVariants(m.url)) } })
+    .project({ url: 1 })
+    .toArray();
+
+  // Group mutes by scope: "" for global, channelId string for channel mutes
+  const scopes = new Map();
+  for (const mute of muted) {
+    const key = mute.channelId ? mute.channelId.toString() : "";
+    if (!scopes.has(key)) {
+      scopes.set(key, { channelId: mute.channelId, urls: [] });
+    }
+    scopes.get(key).urls.push(mute.url);
+  }
+
+  const conditions = [];
+  for (const { channelId: scopeChannelId, urls } of scopes.values()) {
+    const variants = new Set(urls.flatMap((url) => urlVariants(url)));
+    const feedIds = feeds
+      .filter((feed) => variants.has(feed.url))
+      .map((feed) => feed._id);
+
+    for (const condition of buildConditions(urls, feedIds)) {
+      conditions.push(
+        scopeChannelId ? { channelId: scopeChannelId, ...condition } : condition,
+      );
+    }
+  }
+
+  return conditions.length > 0 ? conditions : undefined;
+}
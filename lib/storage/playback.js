@@ -0,0 +1,101 @@
+/**
+ * Podcast playback position storage (per user, per item)
+ * @module storage/playback
+ */
+
+import { ObjectId } from "mongodb";
+
+const POSITION_TTL = 180 * 24 * 60 * 60; // Forget untouched positions after 180 days (seconds)
+
+/**
+ * Get playback collection
+ * @param {object} application - Indiekit application
+ * @returns {object} MongoDB collection
+ */
+function getCollection(application) {
+  return application.collections.get("microsub_playback");
+}
+
+/**
+ * Create playback indexes
+ * @param {object} application - Indiekit application
+ * @returns {Promise<void>}
+ */
+export async function createPlaybackIndexes(application) {
+  const collection = getCollection(application);
+
+  await collection.createIndex({ userId: 1, itemId: 1 }, { unique: true });
+  await collection.createIndex(
+    { updatedAt: 1 },
+    { expireAfterSeconds: POSITION_TTL },
+  );
+}
+
+/**
+ * Save a user's playback position for an item
+ * @param {object} application - Indiekit application
+ * @param {object} data - Playback data
+ * @param {string} data.userId - User ID
+ * @param {ObjectId|string} data.itemId - Item ObjectId
+ * @param {number} data.position - Position in seconds
+ * @param {number} [data.duration] - Episode duration in seconds
+ * @returns {Promise<void>}
+ */
+export async function savePlaybackPosition(
+  application,
+  { userId, itemId, position, duration },
+) {
+  const collection = getCollection(application);
+  const objectId =
+    typeof itemId === "string" ? new ObjectId(itemId) : itemId;
+
+  await collection.updateOne(
+    { userId, itemId: objectId },
+    {
+      $set: {
+        position,
+        duration: duration || undefined,
+        // Date (not ISO string) so the TTL index applies
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Attach the user's saved playback position (`_playback`) to podcast items.
+ * Read-time join, like the feed source enrichment.
+ * @param {object} application - Indiekit application
+ * @param {Array<object>} items - jf2 items (mutated in place)
+ * @param {string} [userId] - User ID
+ * @returns {Promise<Array<object>>} The same items
+ */
+export async function enrichItemsWithPlayback(application, items, userId) {
+  const itemIds = items
+    .filter((item) => item._podcast)
+    .map((item) => new ObjectId(item._id));
+  if (!userId || itemIds.length === 0) {
+    return items;
+  }
+
+  const positions = await getCollection(application)
+    .find({ userId, itemId: { $in: itemIds } })
+    .toArray();
+  const positionsById = new Map(
+    positions.map((entry) => [entry.itemId.toString(), entry]),
+  );
+
+  for (const item of items) {
+    const entry = positionsById.get(item._id);
+    if (entry) {
+      item._playback = {
+        position: entry.position,
+        duration: entry.duration,
+        updatedAt: entry.updatedAt.toISOString(),
+      };
+    }
+  }
+
+  return items;
+}
@@ -20,7 +20,8 @@ export function classifyUrl(url) {
     lower.includes("fosstodon.") ||
     lower.includes("pleroma.") ||
     lower.includes("misskey.") ||
-    lower.includes("pixelfed.")
+    lower.includes("pixelfed.") ||
+    /\/users\/[^/]+\/outbox/.test(lower)
   ) {
     return { type: "mastodon", protocol: "fediverse" };
   }
@@ -0,0 +1,139 @@
+/**
+ * URL matching helpers shared by mute and block filtering and cross-feed
+ * duplicate detection
+ * @module utils/url-match
+ */
+
+/**
+ * Normalize a feed URL for duplicate comparison.
+ * Strips trailing slashes, normalizes protocol to https, lowercases hostname.
+ * @param {string} url - Feed URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    // Normalize protocol to https
+    parsed.protocol = "https:";
+    // Lowercase hostname
+    parsed.hostname = parsed.hostname.toLowerCase();
+    // Remove trailing slash from path (but keep "/" for root)
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith("/")) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Build the URL spellings a muted/blocked URL should match (as given,
+ * normalized, with and without trailing slash).
+ * @param {string} url - URL
+ * @returns {Array<string>} URL variants
+ */
+export function urlVariants(url) {
+  const variants = new Set([url, normalizeUrl(url)]);
+  for (const variant of [...variants]) {
+    variants.add(variant.endsWith("/") ? variant.slice(0, -1) : variant + "/");
+  }
+  return [...variants];
+}
+
+/**
+ * Get the origin of a URL when it points at a site root
+ * (e.g. `https://example.com/`). A root URL matches everything on that host;
+ * a profile or post URL only matches itself.
+ * @param {string} url - URL
+ * @returns {string|undefined} Origin, or undefined for non-root URLs
+ */
+export function rootOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.pathname === "/" && !parsed.search && !parsed.hash) {
+      return parsed.origin;
+    }
+  } catch {
+    // Invalid URL — nothing to match by origin
+  }
+}
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - URL
+ * @returns {string|undefined} Origin, or undefined if the URL is invalid
+ */
+export function urlOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return;
+  }
+}
+
+/**
+ * Ad and newsletter click IDs, which only track where a click came from.
+ * Generic names like `ref` or `source` are left alone: sites use them for
+ * content too.
+ */
+const TRACKING_PARAMETERS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "mc_cid",
+  "mc_eid",
+  "igshid",
+]);
+
+/**
+ * Get the canonical form of an item URL for duplicate detection: https,
+ * lowercase host without `www.`, no port 80 or 443, fragment, tracking
+ * parameters (`utm_*` and click IDs) or trailing slash, and the remaining
+ * query parameters sorted. Other ports are kept, since they can serve a
+ * different site.
+ * @param {string} url - Item URL
+ * @returns {string|undefined} Canonical URL, or undefined if invalid
+ */
+export function canonicalItemUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return;
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return;
+  }
+
+  parsed.protocol = "https:";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  if (parsed.port === "80" || parsed.port === "443") {
+    parsed.port = "";
+  }
+  parsed.hash = "";
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (key.startsWith("utm_") || TRACKING_PARAMETERS.has(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  parsed.searchParams.sort();
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith("/")) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} string - Raw string
+ * @returns {string} Escaped string
+ */
+export function escapeRegex(string) {
+  return string.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
@@ -144,13 +144,21 @@ export function validateChannelName(name) {
  * Validate exclude types array
  * @param {Array} types - Array of exclude types
  * @returns {Array} Validated exclude types
+ * @throws {IndiekitError} If a type is not a known interaction type
  */
 export function validateExcludeTypes(types) {
   if (!types || !Array.isArray(types)) {
     return [];
   }
 
-  return types.filter((type) => VALID_EXCLUDE_TYPES.includes(type));
+  const invalid = types.filter((type) => !VALID_EXCLUDE_TYPES.includes(type));
+  if (invalid.length > 0) {
+    throw new IndiekitError(`Invalid exclude type: ${invalid.join(", ")}`, {
+      status: 400,
+    });
+  }
+
+  return types;
 }
 
 /**
@@ -201,6 +209,66 @@ export function validateExcludeRegex(pattern) {
   }
 }
 
+/**
+ * Validate a channel settings update. Only keys present in the input are
+ * validated and returned, so callers can apply partial updates. Empty or
+ * invalid values come back as undefined, which makes the channel fall back to
+ * the global default.
+ * @param {object} input - Raw settings (form or API parameters)
+ * @param {Array<string>|string} [input.excludeTypes] - Interaction types to exclude
+ * @param {string} [input.excludeRegex] - Regex pattern to exclude
+ * @param {string|number} [input.maxItems] - Channel item cap
+ * @param {string|number} [input.maxItemsPerFeed] - Per-feed item cap
+ * @param {string|number} [input.maxUnreadAgeDays] - Unread item age cap
+ * @param {string} [input.unreadIndicator] - "dot" for a boolean unread indicator
+ * @param {string|boolean} [input.resurfaceEdits] - "true" to mark significantly edited items unread again
+ * @returns {object} Validated settings
+ */
+export function validateChannelSettings(input) {
+  const settings = {};
+
+  if ("excludeTypes" in input) {
+    settings.excludeTypes = validateExcludeTypes(
+      [input.excludeTypes].flat().filter(Boolean),
+    );
+  }
+  if ("excludeRegex" in input) {
+    settings.excludeRegex = validateExcludeRegex(input.excludeRegex);
+  }
+  if ("maxItems" in input) {
+    settings.maxItems = validateRetentionSetting(input.maxItems, {
+      min: 10,
+      max: 100_000,
+    });
+  }
+  if ("maxItemsPerFeed" in input) {
+    settings.maxItemsPerFeed = validateRetentionSetting(input.maxItemsPerFeed, {
+      min: 1,
+      max: 10_000,
+    });
+  }
+  if ("maxUnreadAgeDays" in input) {
+    settings.maxUnreadAgeDays = validateRetentionSetting(
+      input.maxUnreadAgeDays,
+      { min: 1, max: 3650 },
+    );
+  }
+  if ("unreadIndicator" in input) {
+    settings.unreadIndicator = [input.unreadIndicator].flat().includes("dot")
+      ? "dot"
+      : undefined;
+  }
+  if ("resurfaceEdits" in input) {
+    settings.resurfaceEdits = [input.resurfaceEdits]
+      .flat()
+      .some((value) => value === true || value === "true")
+      ? true
+      : undefined;
+  }
+
+  return settings;
+}
+
 /**
  * Parse array parameter from request
  * Handles both array[] and array[0], array[1] formats
@@ -3,7 +3,8 @@
  * @module webmention/processor
  */
 
-import { getRedisClient, publishEvent } from "../cache/redis.js";
+import { publishChannelEvent } from "../realtime/publisher.js";
+import { getBlockMatcher } from "../storage/blocks.js";
 import { ensureNotificationsChannel } from "../storage/channels.js";
 
 import { verifyWebmention } from "./verifier.js";
@@ -26,6 +27,13 @@ function getCollection(application) {
  * @returns {Promise<object>} Processing result
  */
 export async function processWebmention(application, source, target, userId) {
+  // Drop mentions from blocked sites before fetching the source
+  const isBlocked = await getBlockMatcher(application, userId);
+  if (isBlocked({ url: source })) {
+    console.info(`[Microsub] Webmention from blocked source ignored: ${source}`);
+    return { success: false, error: "Source is blocked" };
+  }
+
   // Verify the webmention
   const verification = await verifyWebmention(source, target);
 
@@ -39,6 +47,12 @@ export async function processWebmention(application, source, target, userId) {
     };
   }
 
+  // The h-entry author is only known after parsing the source
+  if (isBlocked({ url: verification.url, author: verification.author })) {
+    console.info(`[Microsub] Webmention from blocked author ignored: ${source}`);
+    return { success: false, error: "Author is blocked" };
+  }
+
   // Ensure notifications channel exists
   const channel = await ensureNotificationsChannel(application, userId);
 
@@ -78,14 +92,10 @@ export async function processWebmention(application, source, target, userId) {
   }
 
   // Publish real-time event
-  const redis = await getRedisClient(application);
-  if (redis && userId) {
-    await publishEvent(redis, `microsub:user:${userId}`, {
-      type: "new-notification",
-      channelId: channel._id.toString(),
-      notification: transformNotification(notification),
-    });
-  }
+  await publishChannelEvent(application, channel, {
+    type: "new-notification",
+    notification: transformNotification(notification),
+  });
 
   console.info(
     `[Microsub] Webmention processed: ${verification.type} from ${source}`,
@@ -4,13 +4,34 @@
  */
 
 import { parseFeed } from "../feeds/parser.js";
-import { processFeed } from "../polling/processor.js";
-import { getFeedBySubscriptionId, updateFeedWebsub } from "../storage/feeds.js";
+import { processFeed, processPushedContent } from "../polling/processor.js";
+import { recordFetch } from "../storage/fetch-log.js";
+import {
+  getFeedBySubscriptionId,
+  getItemSourceUrl,
+  recordWebsubPush,
+} from "../storage/feeds.js";
 
-import { verifySignature } from "./subscriber.js";
+import { recordDenied, recordVerified, verifySignature } from "./subscriber.js";
 
 /**
- * Verify WebSub subscription
+ * Get the raw request body. The WebSub route reads the body with
+ * `express.raw()`, so it arrives as a Buffer unless an application-wide
+ * parser consumed it first, in which case the parsed body is re-serialized
+ * (which only verifies when the hub signed identical JSON).
+ * @param {Buffer|string|object} body - Request body
+ * @returns {Buffer|string} Raw body
+ */
+function getRawBody(body) {
+  if (Buffer.isBuffer(body) || typeof body === "string") {
+    return body;
+  }
+
+  return body && Object.keys(body).length > 0 ? JSON.stringify(body) : "";
+}
+
+/**
+ * Verify WebSub subscription, or record a denial
  * GET /microsub/websub/:id
  * @param {object} request - Express request
  * @param {object} response - Express response
@@ -18,12 +39,14 @@ import { verifySignature } from "./subscriber.js";
 export async function verify(request, response) {
   const { id } = request.params;
   const {
+    "hub.mode": mode,
     "hub.topic": topic,
     "hub.challenge": challenge,
     "hub.lease_seconds": leaseSeconds,
+    "hub.reason": reason,
   } = request.query;
 
-  if (!challenge) {
+  if (!challenge && mode !== "denied") {
     return response.status(400).send("Missing hub.challenge");
   }
 
@@ -40,30 +63,34 @@ export async function verify(request, response) {
     return response.status(400).send("Topic mismatch");
   }
 
-  // Update lease seconds if provided
-  if (leaseSeconds) {
-    const seconds = Number.parseInt(leaseSeconds, 10);
-    if (seconds > 0) {
-      await updateFeedWebsub(application, id, {
-        hub: feed.websub?.hub,
-        topic: expectedTopic,
-        leaseSeconds: seconds,
-        secret: feed.websub?.secret,
-      });
+  if (mode === "denied") {
+    await recordDenied(application, feed, reason);
+    console.warn(
+      `[Microsub] WebSub subscription denied for ${feed.url}: ${reason || "no reason given"}`,
+    );
+    return response.status(200).send("OK");
+  }
+
+  if (mode === "unsubscribe") {
+    // Only confirm unsubscriptions we asked for
+    if (feed.websub?.state !== "unsubscribed") {
+      return response.status(404).send("Subscription not found");
     }
+
+    console.info(`[Microsub] WebSub unsubscription verified for ${feed.url}`);
+    return response.type("text/plain").send(challenge);
   }
 
-  // Mark subscription as active (not pending)
-  if (feed.websub?.pending) {
-    await updateFeedWebsub(application, id, {
-      hub: feed.websub?.hub,
-      topic: expectedTopic,
-      secret: feed.websub?.secret,
-      leaseSeconds: feed.websub?.leaseSeconds,
-      pending: false,
-    });
+  if (feed.websub?.state === "unsubscribed") {
+    return response.status(404).send("Subscription not found");
   }
 
+  await recordVerified(
+    application,
+    feed,
+    Number.parseInt(leaseSeconds, 10) || undefined,
+  );
+
   console.info(`[Microsub] WebSub subscription verified for ${feed.url}`);
 
   // Return challenge to verify subscription
@@ -85,6 +112,12 @@ export async function receive(request, response) {
     return response.status(404).send("Subscription not found");
   }
 
+  // Ignore pushes for subscriptions we have ended, and for feeds that
+  // answered 410 Gone (a hub's lease can outlive the feed)
+  if (feed.websub?.state === "unsubscribed" || feed.status === "dead") {
+    return response.status(410).send("Subscription ended");
+  }
+
   // Verify X-Hub-Signature if we have a secret
   if (feed.websub?.secret) {
     const signature =
@@ -95,12 +128,7 @@ export async function receive(request, response) {
       return response.status(401).send("Missing signature");
     }
 
-    // Get raw body for signature verification
-    const rawBody =
-      typeof request.body === "string"
-        ? request.body
-        : JSON.stringify(request.body);
-
+    const rawBody = getRawBody(request.body);
     if (!verifySignature(signature, rawBody, feed.websub.secret)) {
       console.warn(`[Microsub] Invalid WebSub signature for ${feed.url}`);
       return response.status(401).send("Invalid signature");
@@ -110,6 +138,10 @@ export async function receive(request, response) {
   // Acknowledge receipt immediately
   response.status(200).send("OK");
 
+  recordWebsubPush(application, feed._id).catch((error) => {
+    console.error(`[Microsub] WebSub push log error: ${error.message}`);
+  });
+
   // Process pushed content in background
   setImmediate(async () => {
     try {
@@ -132,31 +164,42 @@ export async function receive(request, response) {
  * @param {object} application - Indiekit application
  * @param {object} feed - Feed document
  * @param {string} contentType - Content-Type header
- * @param {string|object} body - Request body
+ * @param {Buffer|string|object} body - Request body
  * @returns {Promise<void>}
  */
 async function processWebsubContent(application, feed, contentType, body) {
-  // Convert body to string if needed
-  const content = typeof body === "string" ? body : JSON.stringify(body);
+  const content = getRawBody(body).toString("utf8");
+
+  // Thin ping without content: fetch the feed as a normal poll would
+  if (!content.trim()) {
+    await processFeed(application, feed, { websub: true });
+    return;
+  }
 
   try {
     // Parse the pushed content
-    const parsed = await parseFeed(content, feed.url, { contentType });
+    const parsed = await parseFeed(content, getItemSourceUrl(feed), {
+      contentType,
+    });
 
     console.info(
       `[Microsub] Processing ${parsed.items.length} items from WebSub push for ${feed.url}`,
     );
 
-    // Process like a normal feed fetch but with pre-parsed content
-    // This reuses the existing feed processing logic
-    await processFeed(application, {
-      ...feed,
-      _websubContent: parsed,
+    // Store pushed items directly (fat pings), without refetching the feed
+    await processPushedContent(application, feed, parsed, {
+      bytes: Buffer.byteLength(content),
     });
   } catch (error) {
     console.error(
       `[Microsub] Failed to parse WebSub content for ${feed.url}: ${error.message}`,
     );
+    await recordFetch(application, {
+      feedId: feed._id,
+      bytes: Buffer.byteLength(content),
+      websub: true,
+      error: error.message,
+    }).catch(() => {});
   }
 }
 
@@ -6,12 +6,131 @@
 import crypto from "node:crypto";
 
 import { isPrivateUrl } from "../media/proxy.js";
-import { updateFeedWebsub } from "../storage/feeds.js";
+import {
+  claimFeedsForWebsubRenewal,
+  releaseWebsubClaim,
+  setFeedWebsubState,
+} from "../storage/feeds.js";
 
 const DEFAULT_LEASE_SECONDS = 86_400 * 7; // 7 days
+const PENDING_TIMEOUT = 60 * 60 * 1000; // Hub has 1 hour to verify
+const RETRY_BASE_DELAY = 5 * 60 * 1000; // First retry after 5 minutes
+const RETRY_MAX_DELAY = 24 * 60 * 60 * 1000; // Back off to once a day
+const RENEWAL_BATCH_SIZE = 10;
+const RENEWAL_CLAIM_DURATION = 5 * 60 * 1000;
 
 /**
- * Subscribe to a WebSub hub
+ * Subscription states stored in `feed.websub.state`:
+ * - pending: subscribe request accepted, waiting for the hub to verify
+ * - verified: hub verified the subscription; lease runs until `expiresAt`
+ * - expired: lease ran out before it could be renewed
+ * - denied: hub refused the subscription (`hub.mode=denied`)
+ * - failed: subscribe request failed or was never verified
+ * - unsubscribed: unsubscribed on purpose; never renewed
+ */
+
+/**
+ * Check whether a feed has a live WebSub lease
+ * @param {object} feed - Feed document
+ * @returns {boolean} True while the hub should be pushing updates
+ */
+export function isSubscriptionActive(feed) {
+  const expiresAt = feed.websub?.expiresAt;
+  return (
+    feed.websub?.state !== "unsubscribed" &&
+    Boolean(expiresAt) &&
+    new Date(expiresAt) > new Date()
+  );
+}
+
+/**
+ * Get retry delay after consecutive failures (exponential backoff)
+ * @param {number} failures - Consecutive failures
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures) {
+  return Math.min(
+    RETRY_BASE_DELAY * Math.pow(2, Math.max(0, failures - 1)),
+    RETRY_MAX_DELAY,
+  );
+}
+
+/**
+ * Get when a lease should be renewed: after 90% of it has run, so there is
+ * time to retry before it expires
+ * @param {number} leaseSeconds - Lease duration
+ * @returns {Date} Renewal time
+ */
+function getRenewAt(leaseSeconds) {
+  return new Date(Date.now() + leaseSeconds * 900);
+}
+
+/**
+ * Get the state to record when a subscribe attempt fails: a live lease
+ * stays verified, a lapsed one is expired
+ * @param {object} feed - Feed document
+ * @returns {string} Subscription state
+ */
+function getFailureState(feed) {
+  if (isSubscriptionActive(feed)) {
+    return "verified";
+  }
+  return feed.websub?.expiresAt ? "expired" : "failed";
+}
+
+/**
+ * Record a failed subscription attempt and schedule a retry
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {string} state - New state
+ * @param {string} error - Failure reason
+ * @param {object} [fields] - Additional WebSub fields to set
+ * @returns {Promise<object|null>} Updated feed
+ */
+async function recordFailure(application, feed, state, error, fields = {}) {
+  const failures = (feed.websub?.failures || 0) + 1;
+
+  return setFeedWebsubState(application, feed._id, {
+    ...fields,
+    state,
+    failures,
+    lastError: error,
+    renewAt: new Date(Date.now() + getRetryDelay(failures)),
+  });
+}
+
+/**
+ * Summarise a feed's WebSub subscription for the feed details page
+ * @param {object} feed - Feed document
+ * @param {object} [stats] - Push statistics from the fetch log
+ * @param {number} [stats.pushesLast24h] - Pushes received in the last day
+ * @returns {object|undefined} Diagnostics, or undefined if no hub is known
+ */
+export function getSubscriptionDiagnostics(feed, { pushesLast24h = 0 } = {}) {
+  const websub = feed.websub;
+  if (!websub?.hub) {
+    return;
+  }
+
+  const toIso = (date) => date && new Date(date).toISOString();
+
+  return {
+    hub: websub.hub,
+    topic: websub.topic || feed.url,
+    state: websub.state || (websub.secret ? "pending" : "discovered"),
+    active: isSubscriptionActive(feed),
+    verifiedAt: toIso(websub.verifiedAt),
+    expiresAt: toIso(websub.expiresAt),
+    renewAt: toIso(websub.renewAt),
+    lastError: websub.lastError,
+    failures: websub.failures || 0,
+    lastPushAt: toIso(websub.lastPushAt),
+    pushesLast24h,
+  };
+}
+
+/**
+ * Subscribe to a WebSub hub (also used to renew a lease)
  * @param {object} application - Indiekit application
  * @param {object} feed - Feed document with websub.hub
  * @param {string} callbackUrl - Callback URL for this subscription
@@ -23,14 +142,30 @@ export async function subscribe(application, feed, callbackUrl) {
   }
 
   const topic = feed.websub.topic || feed.url;
-  const secret = generateSecret();
+  // Keep the secret when renewing so pushes signed with it still verify
+  const secret = feed.websub.secret || generateSecret();
 
   // SSRF protection — hub URL comes from untrusted feed content
   if (await isPrivateUrl(feed.websub.hub)) {
     console.warn(`[Microsub] WebSub blocked private hub URL: ${feed.websub.hub}`);
+    await setFeedWebsubState(application, feed._id, {
+      state: "failed",
+      lastError: "Private hub URL",
+      renewAt: undefined,
+    });
     return false;
   }
 
+  // Store state before the request: hubs may verify before responding
+  await setFeedWebsubState(application, feed._id, {
+    hub: feed.websub.hub,
+    topic,
+    secret,
+    state: "pending",
+    requestedAt: new Date(),
+    renewAt: new Date(Date.now() + PENDING_TIMEOUT),
+  });
+
   try {
     const response = await fetch(feed.websub.hub, {
       method: "POST",
@@ -49,26 +184,69 @@ export async function subscribe(application, feed, callbackUrl) {
     // 202 Accepted means subscription is pending verification
     // 204 No Content means subscription was immediately accepted
     if (response.status === 202 || response.status === 204) {
-      // Store the secret for signature verification
-      await updateFeedWebsub(application, feed._id, {
-        hub: feed.websub.hub,
-        topic,
-        secret,
-        pending: true,
-      });
       return true;
     }
 
     console.error(
       `[Microsub] WebSub subscription failed: ${response.status} ${response.statusText}`,
     );
+    await recordFailure(
+      application,
+      feed,
+      getFailureState(feed),
+      `Hub responded ${response.status}`,
+    );
     return false;
   } catch (error) {
     console.error(`[Microsub] WebSub subscription error: ${error.message}`);
+    await recordFailure(
+      application,
+      feed,
+      getFailureState(feed),
+      error.message,
+    );
     return false;
   }
 }
 
+/**
+ * Record a subscription the hub verified
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {number} [leaseSeconds] - Lease granted by the hub
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function recordVerified(application, feed, leaseSeconds) {
+  const lease = leaseSeconds > 0 ? leaseSeconds : DEFAULT_LEASE_SECONDS;
+
+  return setFeedWebsubState(application, feed._id, {
+    state: "verified",
+    leaseSeconds: lease,
+    expiresAt: new Date(Date.now() + lease * 1000),
+    verifiedAt: new Date(),
+    renewAt: getRenewAt(lease),
+    failures: undefined,
+    lastError: undefined,
+  });
+}
+
+/**
+ * Record a subscription the hub denied (`hub.mode=denied`)
+ * @param {object} application - Indiekit application
+ * @param {object} feed - Feed document
+ * @param {string} [reason] - Reason given by the hub
+ * @returns {Promise<object|null>} Updated feed
+ */
+export async function recordDenied(application, feed, reason) {
+  return recordFailure(
+    application,
+    feed,
+    "denied",
+    reason || "Subscription denied by hub",
+    { expiresAt: undefined },
+  );
+}
+
 /**
  * Unsubscribe from a WebSub hub
  * @param {object} application - Indiekit application
@@ -83,6 +261,12 @@ export async function unsubscribe(application, feed, callbackUrl) {
 
   const topic = feed.websub.topic || feed.url;
 
+  // Mark first so the hub's verification request is confirmed
+  await setFeedWebsubState(application, feed._id, {
+    state: "unsubscribed",
+    renewAt: undefined,
+  });
+
   try {
     const response = await fetch(feed.websub.hub, {
       method: "POST",
@@ -97,24 +281,84 @@ export async function unsubscribe(application, feed, callbackUrl) {
     });
 
     if (response.status === 202 || response.status === 204) {
-      // Clear WebSub data from feed
-      await updateFeedWebsub(application, feed._id, {
-        hub: feed.websub.hub,
-        topic,
+      // Clear subscription data, keeping the hub for a later resubscribe
+      await setFeedWebsubState(application, feed._id, {
         secret: undefined,
         leaseSeconds: undefined,
-        pending: false,
+        expiresAt: undefined,
+        failures: undefined,
+        lastError: undefined,
       });
       return true;
     }
 
+    await setFeedWebsubState(application, feed._id, {
+      state: feed.websub.state,
+      renewAt: feed.websub.renewAt,
+    });
     return false;
   } catch (error) {
     console.error(`[Microsub] WebSub unsubscribe error: ${error.message}`);
+    await setFeedWebsubState(application, feed._id, {
+      state: feed.websub.state,
+      renewAt: feed.websub.renewAt,
+    }).catch(() => {});
     return false;
   }
 }
 
+/**
+ * Renew leases due for renewal and retry failed subscriptions. Run by the
+ * scheduler every cycle; feeds are claimed first, so several schedulers
+ * don't renew the same subscription.
+ * @param {object} application - Indiekit application
+ * @param {object} options - Renewal options
+ * @param {string} options.instanceId - ID of the calling scheduler
+ * @returns {Promise<number>} Number of subscribe requests sent
+ */
+export async function renewSubscriptions(application, { instanceId }) {
+  const baseUrl = application.url;
+  if (!baseUrl) {
+    return 0;
+  }
+
+  const feeds = await claimFeedsForWebsubRenewal(application, {
+    instanceId,
+    lockDuration: RENEWAL_CLAIM_DURATION,
+    limit: RENEWAL_BATCH_SIZE,
+  });
+  let requested = 0;
+
+  for (const feed of feeds) {
+    try {
+      // Hub never verified the last request: back off before trying again
+      if (feed.websub.state === "pending") {
+        await recordFailure(
+          application,
+          feed,
+          getFailureState(feed),
+          "Hub did not verify the subscription",
+        );
+        continue;
+      }
+
+      if (feed.websub.state === "verified" && !isSubscriptionActive(feed)) {
+        await setFeedWebsubState(application, feed._id, { state: "expired" });
+        console.info(`[Microsub] WebSub lease expired for ${feed.url}`);
+      }
+
+      const callbackUrl = getCallbackUrl(baseUrl, feed._id.toString());
+      if (await subscribe(application, feed, callbackUrl)) {
+        requested++;
+      }
+    } finally {
+      await releaseWebsubClaim(application, feed._id, instanceId);
+    }
+  }
+
+  return requested;
+}
+
 /**
  * Generate a random secret for signature verification
  * @returns {string} Random hex string
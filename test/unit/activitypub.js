@@ -0,0 +1,292 @@
+import { strict as assert } from "node:assert";
+import dns from "node:dns";
+import http from "node:http";
+import { after, before, describe, it, mock } from "node:test";
+
+import {
+  normalizeActivity,
+  parseOutboxPage,
+  parseProfileUrl,
+  resolveFediverseProfile,
+} from "../../lib/feeds/activitypub.js";
+
+const PUBLIC = "https://www.w3.org/ns/activitystreams#Public";
+const FEED_URL = "https://social.example/users/alice/outbox";
+const author = {
+  name: "Alice",
+  url: "https://social.example/@alice",
+  photo: "https://social.example/alice.png",
+};
+
+/**
+ * Serve WebFinger, actor and outbox documents for a few accounts:
+ * alice (public outbox), bob (outbox needs signed requests), carol (actor
+ * needs signed requests); anyone else is unknown to WebFinger.
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function fixture(request, response) {
+  const base = `http://${request.headers.host}`;
+  const url = new URL(request.url, base);
+  const json = (status, body) => {
+    response.writeHead(status, { "Content-Type": "application/activity+json" });
+    response.end(JSON.stringify(body));
+  };
+
+  if (url.pathname === "/.well-known/webfinger") {
+    const [, user] =
+      url.searchParams.get("resource").match(/^acct:(\w+)@/) || [];
+    if (!["alice", "bob", "carol"].includes(user)) {
+      return json(404, {});
+    }
+    return json(200, {
+      subject: url.searchParams.get("resource"),
+      links: [
+        {
+          rel: "http://webfinger.net/rel/profile-page",
+          href: `${base}/@${user}`,
+        },
+        {
+          rel: "self",
+          type: "application/activity+json",
+          href: `${base}/users/${user}`,
+        },
+      ],
+    });
+  }
+
+  const actor = url.pathname.match(/^\/users\/(\w+)$/)?.[1];
+  if (actor === "carol") {
+    return json(401, { error: "Request not signed" });
+  }
+  if (actor) {
+    return json(200, {
+      type: "Person",
+      id: `${base}/users/${actor}`,
+      preferredUsername: actor,
+      name: actor === "alice" ? "Alice" : undefined,
+      icon: { type: "Image", url: `${base}/${actor}.png` },
+      url: `${base}/@${actor}`,
+      outbox: `${base}/users/${actor}/outbox`,
+    });
+  }
+
+  if (url.pathname === "/users/alice/outbox") {
+    return json(200, {
+      type: "OrderedCollection",
+      totalItems: 0,
+      first: `${base}/users/alice/outbox?page=true`,
+    });
+  }
+  if (url.pathname === "/users/bob/outbox") {
+    return json(401, { error: "Request not signed" });
+  }
+
+  response.writeHead(200, { "Content-Type": "text/html" });
+  response.end("<html><body>A blog profile page</body></html>");
+}
+
+describe("feeds/activitypub", () => {
+  it("Parses fediverse profile URLs", () => {
+    assert.deepEqual(parseProfileUrl("https://social.example/@alice"), {
+      origin: "https://social.example",
+      host: "social.example",
+      user: "alice",
+    });
+    assert.equal(
+      parseProfileUrl("https://social.example/users/bob/").user,
+      "bob",
+    );
+
+    for (const url of [
+      "https://social.example/@alice/123",
+      "https://social.example/@alice?x=1",
+      "https://example.com/blog",
+      "not a url",
+    ]) {
+      assert.equal(parseProfileUrl(url), undefined, url);
+    }
+  });
+
+  it("Normalizes a public post", () => {
+    const item = normalizeActivity(
+      {
+        id: "https://social.example/users/alice/statuses/1/activity",
+        type: "Create",
+        to: [PUBLIC],
+        object: {
+          id: "https://social.example/users/alice/statuses/1",
+          url: "https://social.example/@alice/1",
+          published: "2024-05-01T10:00:00Z",
+          summary: "Spoilers",
+          content:
+            '<p>Hello <a href="https://example.com">world</a><script>x</script></p>',
+          inReplyTo: "https://other.example/notes/9",
+          attachment: [
+            {
+              type: "Document",
+              mediaType: "image/png",
+              url: "https://social.example/1.png",
+            },
+            {
+              type: "Document",
+              mediaType: "video/mp4",
+              url: "https://social.example/1.mp4",
+            },
+          ],
+          tag: [
+            { type: "Hashtag", name: "#IndieWeb" },
+            { type: "Mention", name: "@bob" },
+          ],
+        },
+      },
+      FEED_URL,
+      author,
+    );
+
+    assert.equal(item.type, "entry");
+    assert.equal(item.url, "https://social.example/@alice/1");
+    assert.equal(item.published, "2024-05-01T10:00:00.000Z");
+    assert.doesNotMatch(item.content.html, /script/);
+    assert.equal(item.content.text, "Hello world");
+    assert.equal(item.summary, "Spoilers");
+    assert.deepEqual(item["in-reply-to"], ["https://other.example/notes/9"]);
+    assert.deepEqual(item.photo, ["https://social.example/1.png"]);
+    assert.deepEqual(item.video, ["https://social.example/1.mp4"]);
+    assert.deepEqual(item.category, ["IndieWeb"]);
+    assert.deepEqual(item.author, { type: "card", ...author });
+    assert.equal(item._source.feedType, "activitypub");
+  });
+
+  it("Normalizes a boost as a repost", () => {
+    const item = normalizeActivity(
+      {
+        id: "https://social.example/users/alice/statuses/2/activity",
+        type: "Announce",
+        cc: [PUBLIC],
+        published: "2024-05-02T10:00:00Z",
+        object: "https://other.example/notes/1",
+      },
+      FEED_URL,
+      author,
+    );
+
+    assert.equal(item.url, "https://other.example/notes/1");
+    assert.deepEqual(item["repost-of"], ["https://other.example/notes/1"]);
+  });
+
+  it("Skips private and unsupported activities", () => {
+    const object = { id: "https://social.example/notes/3", content: "Hi" };
+
+    assert.equal(
+      normalizeActivity({ type: "Create", to: [], object }, FEED_URL),
+      undefined,
+    );
+    assert.equal(
+      normalizeActivity({ type: "Like", to: [PUBLIC], object }, FEED_URL),
+      undefined,
+    );
+    assert.equal(
+      normalizeActivity("https://social.example/notes/3", FEED_URL),
+      undefined,
+    );
+  });
+
+  it("Parses an outbox page", () => {
+    const feed = parseOutboxPage(
+      {
+        type: "OrderedCollectionPage",
+        next: "https://social.example/users/alice/outbox?max_id=1",
+        orderedItems: [
+          {
+            type: "Create",
+            to: [PUBLIC],
+            object: { id: "https://social.example/notes/1", content: "One" },
+          },
+          {
+            type: "Create",
+            to: [],
+            object: { id: "https://social.example/notes/2" },
+          },
+        ],
+      },
+      FEED_URL,
+      author,
+    );
+
+    assert.equal(feed.type, "feed");
+    assert.equal(feed.name, "Alice");
+    assert.equal(feed.url, "https://social.example/@alice");
+    assert.equal(feed.items.length, 1);
+    assert.equal(
+      feed._next,
+      "https://social.example/users/alice/outbox?max_id=1",
+    );
+  });
+
+  describe("resolveFediverseProfile", () => {
+    const server = http.createServer(fixture);
+    let base;
+
+    before(async () => {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      base = `http://fixture.test:${server.address().port}`;
+
+      // Pass the fetcher's private address check, then connect to the fixture
+      mock.method(dns.promises, "lookup", async () => ({
+        address: "203.0.113.10",
+        family: 4,
+      }));
+      const { lookup } = dns;
+      mock.method(dns, "lookup", (hostname, options, callback) => {
+        if (hostname !== "fixture.test") {
+          return lookup(hostname, options, callback);
+        }
+        if (typeof options === "function") {
+          callback = options;
+          options = {};
+        }
+        return options.all
+          ? callback(null, [{ address: "127.0.0.1", family: 4 }])
+          : callback(null, "127.0.0.1", 4);
+      });
+    });
+
+    after(() => {
+      mock.restoreAll();
+      server.closeAllConnections();
+      server.close();
+    });
+
+    it("Resolves a profile to its outbox", async () => {
+      const feed = await resolveFediverseProfile(`${base}/@alice`);
+
+      assert.deepEqual(feed, {
+        url: `${base}/users/alice/outbox`,
+        type: "activitypub",
+        title: "Alice",
+        photo: `${base}/alice.png`,
+        siteUrl: `${base}/@alice`,
+      });
+    });
+
+    it("Falls back to RSS when the outbox needs signed requests", async () => {
+      const feed = await resolveFediverseProfile(`${base}/users/bob`);
+
+      assert.equal(feed.url, `${base}/@bob.rss`);
+      assert.equal(feed.type, "rss");
+      assert.equal(feed.title, "bob");
+    });
+
+    it("Falls back to RSS when the actor needs signed requests", async () => {
+      const feed = await resolveFediverseProfile(`${base}/@carol`);
+
+      assert.deepEqual(feed, { url: `${base}/@carol.rss`, type: "rss" });
+    });
+
+    it("Ignores profile-like URLs that aren't fediverse accounts", async () => {
+      assert.equal(await resolveFediverseProfile(`${base}/@dave`), undefined);
+      assert.equal(await resolveFediverseProfile(`${base}/blog`), undefined);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import { strict as assert } from "node:assert";
+import dns from "node:dns";
+import http from "node:http";
+import { after, before, describe, it, mock } from "node:test";
+
+import { ObjectId } from "mongodb";
+
+import {
+  parseBackfillDepth,
+  runBackfillJob,
+} from "../../lib/polling/backfill.js";
+
+/**
+ * Serve a chain of empty feed pages, one per pagination style: an RSS feed
+ * with an Atom `next` link, an Atom archive with `prev-archive`, a JSON Feed
+ * with `next_url` and an h-feed page with `rel="next"`. `/loop` links back
+ * to `/rss`.
+ * @param {Array<string>} requests - Paths requested so far
+ * @returns {Function} Request handler
+ */
+function fixture(requests) {
+  return (request, response) => {
+    const base = `http://${request.headers.host}`;
+    const send = (type, body) => {
+      response.writeHead(200, { "Content-Type": type });
+      response.end(body);
+    };
+    requests.push(request.url);
+
+    switch (request.url) {
+      case "/rss": {
+        return send(
+          "application/rss+xml",
+          `<?xml version="1.0"?>
+          <rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+            <channel>
+              <title>Blog</title>
+              <link>${base}/</link>
+              <atom:link rel="next" href="/atom"/>
+            </channel>
+          </rss>`,
+        );
+      }
+      case "/atom": {
+        return send(
+          "application/atom+xml",
+          `<?xml version="1.0"?>
+          <feed xmlns="http://www.w3.org/2005/Atom">
+            <title>Blog archive</title>
+            <id>${base}/atom</id>
+            <updated>2020-01-01T00:00:00Z</updated>
+            <link rel="prev-archive" href="${base}/json"/>
+          </feed>`,
+        );
+      }
+      case "/json": {
+        return send(
+          "application/feed+json",
+          JSON.stringify({
+            version: "https://jsonfeed.org/version/1.1",
+            title: "Blog",
+            items: [],
+            next_url: `${base}/html`,
+          }),
+        );
+      }
+      case "/html": {
+        return send(
+          "text/html",
+          `<html><head><link rel="next" href="/end"></head>
+          <body><div class="h-feed"><h1 class="p-name">Blog</h1></div></body>
+          </html>`,
+        );
+      }
+      case "/loop": {
+        return send(
+          "application/feed+json",
+          JSON.stringify({
+            version: "https://jsonfeed.org/version/1.1",
+            title: "Blog",
+            items: [],
+            next_url: `${base}/rss`,
+          }),
+        );
+      }
+      default: {
+        return send(
+          "application/feed+json",
+          JSON.stringify({
+            version: "https://jsonfeed.org/version/1.1",
+            title: "Blog",
+            items: [],
+          }),
+        );
+      }
+    }
+  };
+}
+
+/**
+ * Application whose feeds collection holds one feed with a backfill job
+ * @param {object} backfill - Backfill job state
+ * @returns {object} Fake application, with the feed's current job state
+ */
+function backfillApplication(backfill) {
+  const application = { backfill: { ...backfill } };
+  const feeds = {
+    async findOneAndUpdate(filter, { $set, $unset = {} }) {
+      for (const [key, value] of Object.entries($set)) {
+        if (key.startsWith("backfill.")) {
+          application.backfill[key.slice(9)] = value;
+        }
+      }
+      for (const key of Object.keys($unset)) {
+        delete application.backfill[key.slice(9)];
+      }
+      return { backfill: application.backfill };
+    },
+  };
+  const channels = {
+    async findOne() {
+      return { userId: "alice" };
+    },
+  };
+  const blocked = {
+    find: () => ({ project: () => ({ toArray: async () => [] }) }),
+  };
+
+  application.collections = new Map([
+    ["microsub_feeds", feeds],
+    ["microsub_channels", channels],
+    ["microsub_blocked", blocked],
+  ]);
+  return application;
+}
+
+describe("polling/backfill", () => {
+  it("Parses a requested depth", () => {
+    assert.equal(parseBackfillDepth(3), 3);
+    assert.equal(parseBackfillDepth("25"), 25);
+  });
+
+  it("Uses the default depth for missing or invalid values", () => {
+    assert.equal(parseBackfillDepth(), 10);
+    assert.equal(parseBackfillDepth(true), 10);
+    assert.equal(parseBackfillDepth("on"), 10);
+    assert.equal(parseBackfillDepth("0"), 10);
+    assert.equal(parseBackfillDepth(-5), 10);
+  });
+
+  it("Caps the depth", () => {
+    assert.equal(parseBackfillDepth(500), 50);
+  });
+
+  describe("runBackfillJob", () => {
+    const requests = [];
+    const server = http.createServer(fixture(requests));
+    let base;
+
+    /**
+     * Run a backfill job for a feed on the fixture
+     * @param {string} path - Feed path
+     * @param {object} backfill - Backfill job state
+     * @returns {Promise<object>} Job state after the run
+     */
+    const runJob = async (path, backfill) => {
+      requests.length = 0;
+      const application = backfillApplication(backfill);
+      const feed = { _id: new ObjectId(), url: `${base}${path}`, backfill };
+
+      await runBackfillJob(application, feed);
+      return application.backfill;
+    };
+
+    before(async () => {
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      base = `http://fixture.test:${server.address().port}`;
+
+      // Pass the fetcher's private address check, then connect to the fixture
+      mock.method(dns.promises, "lookup", async () => ({
+        address: "203.0.113.10",
+        family: 4,
+      }));
+      const { lookup } = dns;
+      mock.method(dns, "lookup", (hostname, options, callback) => {
+        if (hostname !== "fixture.test") {
+          return lookup(hostname, options, callback);
+        }
+        if (typeof options === "function") {
+          callback = options;
+          options = {};
+        }
+        return options.all
+          ? callback(null, [{ address: "127.0.0.1", family: 4 }])
+          : callback(null, "127.0.0.1", 4);
+      });
+    });
+
+    after(() => {
+      mock.restoreAll();
+      server.closeAllConnections();
+      server.close();
+    });
+
+    it("Walks next, prev-archive, next_url and rel=next links", async () => {
+      const job = await runJob("/rss", { depth: 10, visited: [] });
+
+      assert.deepEqual(requests, ["/rss", "/atom", "/json", "/html", "/end"]);
+      assert.equal(job.state, "done");
+      assert.equal(job.pages, 4);
+      assert.equal(job.nextUrl, undefined);
+      assert.equal(job.visited.length, 5);
+    });
+
+    it("Stops at the depth limit", async () => {
+      const job = await runJob("/rss", { depth: 1, visited: [] });
+
+      assert.deepEqual(requests, ["/rss", "/atom"]);
+      assert.equal(job.state, "done");
+      assert.equal(job.pages, 1);
+    });
+
+    it("Stops on a link back to a visited page", async () => {
+      const job = await runJob("/json", {
+        depth: 10,
+        pages: 1,
+        nextUrl: `${base}/loop`,
+        visited: [`${base}/rss`, `${base}/json`],
+      });
+
+      assert.deepEqual(requests, ["/loop"]);
+      assert.equal(job.state, "done");
+      assert.equal(job.pages, 2);
+    });
+
+    it("Resumes from the saved page", async () => {
+      const job = await runJob("/rss", {
+        depth: 3,
+        pages: 2,
+        nextUrl: `${base}/html`,
+        visited: [`${base}/rss`, `${base}/atom`, `${base}/json`],
+      });
+
+      // The feed itself isn't fetched again
+      assert.deepEqual(requests, ["/html"]);
+      assert.equal(job.state, "done");
+      assert.equal(job.pages, 3);
+      assert.deepEqual(job.visited, [
+        `${base}/rss`,
+        `${base}/atom`,
+        `${base}/json`,
+        `${base}/html`,
+      ]);
+    });
+  });
+});
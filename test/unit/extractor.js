@@ -0,0 +1,76 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { extractArticle } from "../../lib/feeds/extractor.js";
+
+const PAGE_URL = "https://example.com/2024/05/post";
+
+const paragraphs = [
+  "The first paragraph of the article explains, at some length, what the post is about and why it matters.",
+  "A second paragraph follows with more detail, a few commas, some asides, and enough words to score well.",
+  "Finally, a third paragraph wraps things up, so that the body is clearly longer than any boilerplate.",
+]
+  .map((text) => `<p>${text}</p>`)
+  .join("\n");
+
+describe("feeds/extractor", () => {
+  it("Returns nothing for an empty page", () => {
+    assert.equal(extractArticle("", PAGE_URL), undefined);
+    assert.equal(extractArticle(undefined, PAGE_URL), undefined);
+  });
+
+  it("Uses the e-content of the page's h-entry", () => {
+    const sidebar = "Sidebar text that should not win. ".repeat(10);
+    const html = `<html><body>
+      <div class="sidebar"><p>${sidebar}</p></div>
+      <article class="h-entry">
+        <h1 class="p-name">Post</h1>
+        <div class="e-content">${paragraphs}<p><a href="/about">About</a></p></div>
+      </article>
+    </body></html>`;
+
+    const article = extractArticle(html, PAGE_URL);
+
+    assert.match(article.text, /^The first paragraph/);
+    assert.doesNotMatch(article.text, /Sidebar/);
+    assert.match(article.html, /href="https:\/\/example\.com\/about"/);
+  });
+
+  it("Picks the container with the most paragraph text", () => {
+    const html = `<html><body>
+      <nav><a href="/">Home</a> <a href="/archive">Archive</a></nav>
+      <div id="page">
+        <div class="related"><a href="/a">Another post with a long title</a></div>
+        <div class="post-body">${paragraphs}</div>
+      </div>
+      <script>console.log("tracking");</script>
+      <footer><p>Copyright, all rights reserved, since the dawn of time.</p></footer>
+    </body></html>`;
+
+    const article = extractArticle(html, PAGE_URL);
+
+    assert.match(article.text, /^The first paragraph/);
+    assert.match(article.text, /wraps things up/);
+    assert.doesNotMatch(article.text, /Home|Another post|tracking|Copyright/);
+  });
+
+  it("Resolves lazy-loaded image sources", () => {
+    const html = `<article>${paragraphs}
+      <p><img data-src="/images/photo.jpg" alt="Photo"> A photo of the thing being discussed here.</p>
+    </article>`;
+
+    const article = extractArticle(html, PAGE_URL);
+
+    assert.match(
+      article.html,
+      /src="https:\/\/example\.com\/images\/photo\.jpg"/,
+    );
+  });
+
+  it("Returns nothing when the best match is too short", () => {
+    const html =
+      "<div><p>Just one short paragraph, which looks like a teaser.</p></div>";
+
+    assert.equal(extractArticle(html, PAGE_URL), undefined);
+  });
+});
@@ -0,0 +1,139 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { getHostKey, runWithHostLimits } from "../../lib/polling/host-pool.js";
+
+/**
+ * Worker that records how many items run at once, overall and per host
+ * @param {number} [duration] - Milliseconds each item takes
+ * @returns {Function} Worker with `peak`, `peakPerHost` and `starts`
+ */
+function trackingWorker(duration = 20) {
+  const active = new Map();
+  let running = 0;
+
+  const worker = async (item) => {
+    running++;
+    active.set(item.host, (active.get(item.host) || 0) + 1);
+    worker.peak = Math.max(worker.peak, running);
+    worker.peakPerHost = Math.max(worker.peakPerHost, active.get(item.host));
+    worker.starts.push({ host: item.host, at: Date.now() });
+
+    await sleep(duration);
+
+    running--;
+    active.set(item.host, active.get(item.host) - 1);
+    return { success: true, id: item.id };
+  };
+  worker.peak = 0;
+  worker.peakPerHost = 0;
+  worker.starts = [];
+
+  return worker;
+}
+
+describe("polling/host-pool", () => {
+  it("Keys URLs by lowercase hostname", () => {
+    assert.equal(getHostKey("https://Example.COM/feed"), "example.com");
+    assert.equal(getHostKey("http://example.com:8080/feed"), "example.com");
+    assert.notEqual(
+      getHostKey("https://alice.example.com/feed.xml"),
+      getHostKey("https://bob.example.com/feed.xml"),
+    );
+    assert.equal(getHostKey("not a url"), "not a url");
+  });
+
+  it("Keys sites on shared hosts by the platform domain", () => {
+    assert.equal(getHostKey("https://alice.micro.blog/feed.xml"), "micro.blog");
+    assert.equal(getHostKey("https://micro.blog/bob"), "micro.blog");
+    assert.equal(
+      getHostKey("https://Someone.WordPress.com/feed/"),
+      "wordpress.com",
+    );
+    // Only whole labels match
+    assert.equal(getHostKey("https://notmicro.blog/feed"), "notmicro.blog");
+  });
+
+  it("Resolves immediately with no items", async () => {
+    assert.deepEqual(await runWithHostLimits([], trackingWorker(), {}), []);
+  });
+
+  it("Returns results in item order", async () => {
+    const items = [
+      { id: 1, host: "a", duration: 30 },
+      { id: 2, host: "b", duration: 0 },
+      { id: 3, host: "c", duration: 10 },
+    ];
+    const results = await runWithHostLimits(
+      items,
+      async (item) => {
+        await sleep(item.duration);
+        return item.id;
+      },
+      { getHost: (item) => item.host, hostInterval: 0 },
+    );
+
+    assert.deepEqual(results, [1, 2, 3]);
+  });
+
+  it("Records a rejected worker as a failed result", async () => {
+    const results = await runWithHostLimits(
+      [{ host: "a" }, { host: "b" }],
+      async (item) => {
+        if (item.host === "a") {
+          throw new Error("Boom");
+        }
+        return { success: true };
+      },
+      { getHost: (item) => item.host, hostInterval: 0 },
+    );
+
+    assert.deepEqual(results, [
+      { success: false, itemsAdded: 0, error: "Boom" },
+      { success: true },
+    ]);
+  });
+
+  it("Caps items in flight overall and per host", async () => {
+    const items = Array.from({ length: 12 }, (_, id) => ({
+      id,
+      host: ["a", "b", "c"][id % 3],
+    }));
+    const worker = trackingWorker();
+
+    const results = await runWithHostLimits(items, worker, {
+      getHost: (item) => item.host,
+      concurrency: 4,
+      perHost: 2,
+      hostInterval: 0,
+    });
+
+    assert.equal(results.length, 12);
+    assert.ok(results.every((result) => result.success));
+    assert.equal(worker.peak, 4);
+    assert.equal(worker.peakPerHost, 2);
+  });
+
+  it("Spaces starts on the same host", async () => {
+    const items = [
+      { id: 1, host: "a" },
+      { id: 2, host: "a" },
+      { id: 3, host: "b" },
+    ];
+    const worker = trackingWorker(0);
+
+    await runWithHostLimits(items, worker, {
+      getHost: (item) => item.host,
+      perHost: 2,
+      hostInterval: 50,
+    });
+
+    const [first, second] = worker.starts.filter((start) => start.host === "a");
+    const other = worker.starts.find((start) => start.host === "b");
+
+    assert.ok(second.at - first.at >= 45);
+    // Another host doesn't wait for the first one to cool down
+    assert.ok(other.at - first.at < 45);
+  });
+});
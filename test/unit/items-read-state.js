@@ -0,0 +1,101 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { ObjectId } from "mongodb";
+
+import {
+  markFeedItemsRead,
+  markItemsRead,
+  markItemsReadUpTo,
+} from "../../lib/storage/items-read-state.js";
+
+const userId = "alice";
+const channelId = new ObjectId();
+const otherChannelId = new ObjectId();
+const feedId = new ObjectId();
+const canonicalUrl = "https://example.com/post";
+
+/**
+ * Application with one user's two channels, whose items share a canonical URL
+ * @returns {object} Fake application, with the item updates it received
+ */
+function readStateApplication() {
+  const updates = [];
+  const items = {
+    async findOne() {
+      return { _id: new ObjectId(), published: new Date() };
+    },
+    async updateMany(filter, changes) {
+      updates.push(filter);
+      return { modifiedCount: 1 };
+    },
+    async distinct() {
+      return [canonicalUrl];
+    },
+    async countDocuments() {
+      return 0;
+    },
+  };
+  const channels = {
+    find: () => ({
+      project: () => ({
+        toArray: async () => [{ _id: channelId }, { _id: otherChannelId }],
+      }),
+    }),
+  };
+
+  return {
+    updates,
+    collections: new Map([
+      ["microsub_items", items],
+      ["microsub_channels", channels],
+    ]),
+  };
+}
+
+/**
+ * Assert the last update marked copies in the user's other channels
+ * @param {Array} updates - Item update filters
+ */
+function assertCopiesMarked(updates) {
+  const copies = updates.at(-1);
+
+  assert.equal(updates.length, 2);
+  assert.deepEqual(copies.canonicalUrl, { $in: [canonicalUrl] });
+  assert.equal(copies.channelId.$ne, channelId);
+  assert.deepEqual(copies.channelId.$in, [channelId, otherChannelId]);
+}
+
+describe("storage/items-read-state", () => {
+  it("Marks copies read when marking entries", async () => {
+    const application = readStateApplication();
+
+    await markItemsRead(application, channelId, [canonicalUrl], userId);
+
+    assertCopiesMarked(application.updates);
+  });
+
+  it("Marks copies read when marking the whole channel", async () => {
+    const application = readStateApplication();
+
+    await markItemsRead(application, channelId, ["last-read-entry"], userId);
+
+    assertCopiesMarked(application.updates);
+  });
+
+  it("Marks copies read when marking up to an entry", async () => {
+    const application = readStateApplication();
+
+    await markItemsReadUpTo(application, channelId, canonicalUrl, userId);
+
+    assertCopiesMarked(application.updates);
+  });
+
+  it("Marks copies read when marking a feed", async () => {
+    const application = readStateApplication();
+
+    await markFeedItemsRead(application, channelId, feedId, userId);
+
+    assertCopiesMarked(application.updates);
+  });
+});
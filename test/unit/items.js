@@ -0,0 +1,215 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { ObjectId } from "mongodb";
+
+import {
+  applyItemEdit,
+  isSignificantEdit,
+  setItemFullContent,
+} from "../../lib/storage/items.js";
+
+const channelId = new ObjectId();
+const published = new Date("2024-05-01T10:00:00Z");
+
+/**
+ * Application whose items collection holds a single item
+ * @param {object} stored - Stored item
+ * @returns {object} Fake application, with the updates it received
+ */
+function itemApplication(stored) {
+  const updates = [];
+  const collection = {
+    async findOne() {
+      return stored;
+    },
+    async findOneAndUpdate(filter, changes) {
+      updates.push(changes);
+      return { ...stored, ...changes.$set };
+    },
+  };
+
+  return {
+    updates,
+    collections: new Map([["microsub_items", collection]]),
+  };
+}
+
+/**
+ * Fetched jf2 item
+ * @param {object} [properties] - Properties to override
+ * @returns {object} jf2 item
+ */
+function fetchedItem(properties = {}) {
+  return {
+    uid: "item-1",
+    name: "Title",
+    content: { html: "<p>Body text</p>", text: "Body text" },
+    summary: "Teaser",
+    updated: published.toISOString(),
+    ...properties,
+  };
+}
+
+/**
+ * Stored copy of `fetchedItem()`, read by one user
+ * @param {object} [properties] - Properties to override
+ * @returns {object} Stored item
+ */
+function storedItem(properties = {}) {
+  return {
+    _id: new ObjectId(),
+    channelId,
+    ...fetchedItem(),
+    updated: published,
+    readBy: ["user"],
+    ...properties,
+  };
+}
+
+describe("storage/items", () => {
+  describe("isSignificantEdit", () => {
+    const stored = { name: "Title", content: { text: "x".repeat(100) } };
+
+    it("Treats a new title as significant", () => {
+      const item = { name: "New title", content: stored.content };
+
+      assert.equal(isSignificantEdit(stored, item), true);
+    });
+
+    it("Treats body changes of a fifth or more as significant", () => {
+      const grown = { name: "Title", content: { text: "x".repeat(120) } };
+      const shrunk = { name: "Title", content: { text: "x".repeat(80) } };
+
+      assert.equal(isSignificantEdit(stored, grown), true);
+      assert.equal(isSignificantEdit(stored, shrunk), true);
+    });
+
+    it("Ignores smaller body changes", () => {
+      const item = { name: "Title", content: { text: "x".repeat(119) } };
+
+      assert.equal(isSignificantEdit(stored, item), false);
+    });
+
+    it("Ignores whitespace-only changes", () => {
+      const item = {
+        name: "  Title\n",
+        content: { text: `\n  ${"x".repeat(100)}   \n` },
+      };
+
+      assert.equal(isSignificantEdit(stored, item), false);
+    });
+  });
+
+  describe("applyItemEdit", () => {
+    it("Leaves unchanged items alone", async () => {
+      const application = itemApplication(storedItem());
+
+      const edit = await applyItemEdit(application, {
+        channelId,
+        uid: "item-1",
+        item: fetchedItem(),
+      });
+
+      assert.equal(edit, undefined);
+      assert.equal(application.updates.length, 0);
+    });
+
+    it("Keeps read state for a small edit", async () => {
+      const application = itemApplication(storedItem());
+
+      const edit = await applyItemEdit(
+        application,
+        {
+          channelId,
+          uid: "item-1",
+          item: fetchedItem({
+            content: { html: "<p>Body text!</p>", text: "Body text!" },
+          }),
+        },
+        { resurface: true },
+      );
+
+      assert.equal(edit.contentChanged, true);
+      assert.equal(edit.resurfaced, false);
+      assert.equal(edit.item.edited, true);
+      assert.equal(application.updates[0].$set.readBy, undefined);
+    });
+
+    it("Resurfaces a significant edit when asked", async () => {
+      const application = itemApplication(storedItem());
+      const item = fetchedItem({ name: "Corrected title" });
+
+      const kept = await applyItemEdit(application, {
+        channelId,
+        uid: "item-1",
+        item,
+      });
+      const resurfaced = await applyItemEdit(
+        application,
+        { channelId, uid: "item-1", item },
+        { resurface: true },
+      );
+
+      assert.equal(kept.resurfaced, false);
+      assert.equal(resurfaced.resurfaced, true);
+      assert.deepEqual(application.updates[1].$set.readBy, []);
+    });
+
+    it("Keeps the extracted article when only the date changed", async () => {
+      const feedCopy = fetchedItem();
+      const extracting = itemApplication(storedItem());
+      await setItemFullContent(extracting, new ObjectId(), {
+        item: feedCopy,
+        content: { html: "<p>Full article</p>", text: "Full article" },
+      });
+      const stored = storedItem(extracting.updates[0].$set);
+      const application = itemApplication(stored);
+
+      const edit = await applyItemEdit(
+        application,
+        {
+          channelId,
+          uid: "item-1",
+          item: fetchedItem({ updated: "2024-05-02T10:00:00Z" }),
+        },
+        { resurface: true },
+      );
+      const [{ $set, $unset }] = application.updates;
+
+      assert.equal(edit.contentChanged, false);
+      assert.equal(edit.resurfaced, false);
+      assert.equal($set.content, undefined);
+      assert.equal($set.summary, undefined);
+      assert.equal($set.edited, undefined);
+      assert.equal($set.readBy, undefined);
+      assert.equal($unset, undefined);
+      assert.deepEqual(edit.item.content, stored.content);
+      assert.equal($set.updated.toISOString(), "2024-05-02T10:00:00.000Z");
+    });
+
+    it("Drops the extracted article when the feed's copy changed", async () => {
+      const feedCopy = fetchedItem();
+      const extracting = itemApplication(storedItem());
+      await setItemFullContent(extracting, new ObjectId(), {
+        item: feedCopy,
+        content: { html: "<p>Full article</p>", text: "Full article" },
+      });
+      const application = itemApplication(
+        storedItem(extracting.updates[0].$set),
+      );
+
+      const edit = await applyItemEdit(application, {
+        channelId,
+        uid: "item-1",
+        item: fetchedItem({
+          content: { html: "<p>New teaser</p>", text: "New teaser" },
+        }),
+      });
+
+      assert.equal(edit.contentChanged, true);
+      assert.deepEqual(application.updates[0].$unset, { extracted: "" });
+      assert.equal(edit.item.content.text, "New teaser");
+    });
+  });
+});
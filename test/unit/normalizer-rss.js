@@ -0,0 +1,114 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  extractPodcast,
+  normalizeItem,
+  parseDuration,
+} from "../../lib/feeds/normalizer-rss.js";
+
+const episode = {
+  title: "Episode 12",
+  link: "https://podcast.example/12",
+  guid: "https://podcast.example/12",
+  enclosures: [
+    { url: "https://podcast.example/cover.jpg", type: "image/jpeg" },
+    {
+      url: "https://podcast.example/12.mp3",
+      type: "audio/mpeg",
+      length: "24000000",
+    },
+  ],
+  "itunes:duration": { "#": "1:02:03" },
+  "itunes:image": { "@": { href: "https://podcast.example/12.jpg" } },
+  "itunes:episode": { "#": "12" },
+  "itunes:season": { "#": "2" },
+  "podcast:chapters": {
+    "@": {
+      url: "https://podcast.example/12/chapters.json",
+      type: "application/json+chapters",
+    },
+  },
+  "podcast:transcript": [
+    {
+      "@": {
+        url: "https://podcast.example/12.vtt",
+        type: "text/vtt",
+        language: "en",
+      },
+    },
+    { "@": { type: "text/html" } },
+  ],
+};
+
+describe("feeds/normalizer-rss", () => {
+  it("Parses iTunes durations", () => {
+    assert.equal(parseDuration("3723"), 3723);
+    assert.equal(parseDuration("02:03"), 123);
+    assert.equal(parseDuration("1:02:03"), 3723);
+    assert.equal(parseDuration("90.6"), 91);
+  });
+
+  it("Ignores missing or malformed durations", () => {
+    assert.equal(parseDuration(), undefined);
+    assert.equal(parseDuration(""), undefined);
+    assert.equal(parseDuration("0"), undefined);
+    assert.equal(parseDuration("1 hour"), undefined);
+    assert.equal(parseDuration("1:2:3:4"), undefined);
+  });
+
+  it("Extracts podcast episode metadata", () => {
+    assert.deepEqual(extractPodcast(episode), {
+      url: "https://podcast.example/12.mp3",
+      type: "audio/mpeg",
+      length: 24_000_000,
+      duration: 3723,
+      image: "https://podcast.example/12.jpg",
+      episode: 12,
+      season: 2,
+      chapters: {
+        url: "https://podcast.example/12/chapters.json",
+        type: "application/json+chapters",
+      },
+      transcripts: [
+        {
+          url: "https://podcast.example/12.vtt",
+          type: "text/vtt",
+          language: "en",
+        },
+      ],
+    });
+  });
+
+  it("Uses Podcasting 2.0 episode numbers", () => {
+    const podcast = extractPodcast({
+      enclosures: [{ url: "https://podcast.example/1.m4a", type: "audio/mp4" }],
+      "podcast:episode": { "#": "3" },
+      "podcast:season": { "#": "1" },
+    });
+
+    assert.deepEqual(podcast, {
+      url: "https://podcast.example/1.m4a",
+      type: "audio/mp4",
+      episode: 3,
+      season: 1,
+    });
+  });
+
+  it("Ignores items without an audio enclosure", () => {
+    assert.equal(extractPodcast({}), undefined);
+    assert.equal(
+      extractPodcast({
+        enclosures: [{ url: "https://example.com/a.jpg", type: "image/jpeg" }],
+      }),
+      undefined,
+    );
+  });
+
+  it("Adds podcast metadata to normalized items", () => {
+    const item = normalizeItem(episode, "https://podcast.example/feed", "rss");
+
+    assert.deepEqual(item.audio, ["https://podcast.example/12.mp3"]);
+    assert.equal(item._podcast.duration, 3723);
+  });
+});
@@ -0,0 +1,115 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { getEventsSince, recordEvent } from "../../lib/realtime/replay.js";
+
+/**
+ * Minimal Redis stand-in for the commands the replay buffer uses
+ * @param {number} [seq] - Starting sequence value
+ * @returns {object} Fake client
+ */
+function fakeRedis(seq = 0) {
+  const lists = new Map();
+  const redis = {
+    seq,
+    async eval(script, keyCount, key, now) {
+      redis.seq = Math.max(redis.seq + 1, now);
+      return redis.seq;
+    },
+    multi() {
+      const commands = [];
+      const chain = {
+        rpush(key, value) {
+          commands.push(() =>
+            lists.set(key, [...(lists.get(key) || []), value]),
+          );
+          return chain;
+        },
+        ltrim(key, start) {
+          commands.push(() => lists.set(key, lists.get(key).slice(start)));
+          return chain;
+        },
+        expire: () => chain,
+        async exec() {
+          for (const command of commands) command();
+        },
+      };
+      return chain;
+    },
+    async lrange(key) {
+      return lists.get(key) || [];
+    },
+  };
+  return redis;
+}
+
+describe("realtime/replay", () => {
+  it("Assigns increasing clock-seeded ids in memory", async () => {
+    const before = Date.now();
+    const first = await recordEvent({}, "memory-ids", { type: "new-item" });
+    const second = await recordEvent({}, "memory-ids", { type: "new-item" });
+
+    assert.ok(first.eventId >= before);
+    assert.ok(second.eventId > first.eventId);
+  });
+
+  it("Replays only replayable events after the given id", async () => {
+    const first = await recordEvent({}, "memory-replay", { type: "new-item" });
+    await recordEvent({}, "memory-replay", { type: "channel-update" });
+    const third = await recordEvent({}, "memory-replay", {
+      type: "unread-count",
+    });
+
+    const events = await getEventsSince({}, "memory-replay", first.eventId);
+
+    assert.deepEqual(events, [third]);
+  });
+
+  it("Replays nothing for a missing or invalid id", async () => {
+    await recordEvent({}, "memory-invalid", { type: "new-item" });
+
+    assert.deepEqual(await getEventsSince({}, "memory-invalid"), []);
+    assert.deepEqual(await getEventsSince({}, "memory-invalid", "abc"), []);
+  });
+
+  it("Keeps a bounded memory buffer", async () => {
+    for (let index = 0; index < 205; index++) {
+      await recordEvent({}, "memory-bounded", { type: "new-item", index });
+    }
+
+    const events = await getEventsSince({}, "memory-bounded", 0);
+
+    assert.equal(events.length, 200);
+    assert.equal(events[0].index, 5);
+  });
+
+  it("Uses Redis ids and buffer when Redis is available", async () => {
+    const application = { redis: fakeRedis() };
+
+    const first = await recordEvent(application, "redis", { type: "new-item" });
+    const second = await recordEvent(application, "redis", {
+      type: "new-notification",
+    });
+
+    const events = await getEventsSince(application, "redis", first.eventId);
+
+    assert.equal(second.eventId, application.redis.seq);
+    assert.deepEqual(events, [second]);
+  });
+
+  it("Keeps ids increasing when Redis fails over to memory", async () => {
+    const redis = fakeRedis(Date.now() + 60_000);
+    const fromRedis = await recordEvent({ redis }, "failover", {
+      type: "new-item",
+    });
+
+    redis.eval = async () => {
+      throw new Error("Connection lost");
+    };
+    const fromMemory = await recordEvent({ redis }, "failover", {
+      type: "new-item",
+    });
+
+    assert.ok(fromMemory.eventId > fromRedis.eventId);
+  });
+});
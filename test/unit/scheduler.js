@@ -0,0 +1,100 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { Scheduler } from "../../lib/polling/scheduler.js";
+
+/**
+ * Application whose feeds collection has nothing due
+ * @returns {object} Fake application, with the owner of each claim attempt
+ */
+function idleApplication() {
+  const claims = [];
+  const collection = {
+    async findOneAndUpdate(filter, { $set }) {
+      // Feed, backfill and WebSub renewal claims
+      claims.push(
+        $set.lockedBy ||
+          $set["backfill.lockedBy"] ||
+          $set["websub.lockedBy"],
+      );
+      return null;
+    },
+  };
+
+  return {
+    claims,
+    url: "https://example.com",
+    collections: new Map([["microsub_feeds", collection]]),
+  };
+}
+
+/**
+ * Scheduler that counts cycles instead of running them
+ */
+class CountingScheduler extends Scheduler {
+  cycles = 0;
+
+  async runCycle() {
+    this.cycles++;
+  }
+}
+
+describe("polling/scheduler", () => {
+  it("Runs a cycle on start, then every poll interval", async (t) => {
+    t.mock.method(console, "info", () => {});
+    const scheduler = new CountingScheduler({}, { pollInterval: 20 });
+
+    scheduler.start();
+    assert.equal(scheduler.cycles, 1);
+
+    await sleep(70);
+    scheduler.stop();
+    const cycles = scheduler.cycles;
+
+    assert.ok(cycles >= 3);
+    await sleep(50);
+    assert.equal(scheduler.cycles, cycles);
+  });
+
+  it("Ignores a second start and a stop when stopped", (t) => {
+    t.mock.method(console, "info", () => {});
+    const scheduler = new CountingScheduler({}, { pollInterval: 1000 });
+
+    scheduler.start();
+    scheduler.start();
+    scheduler.stop();
+    scheduler.stop();
+
+    assert.equal(scheduler.cycles, 1);
+    assert.equal(scheduler.interval, undefined);
+  });
+
+  it("Claims due feeds as its own instance", async () => {
+    const application = idleApplication();
+    const scheduler = new Scheduler(application, {
+      instanceId: "test-instance",
+      claimDuration: 1000,
+    });
+
+    const result = await scheduler.runCycle();
+    // Let the background backfill step settle
+    await sleep(0);
+
+    assert.equal(result, undefined);
+    // One attempt each for feeds, backfills and WebSub renewals
+    assert.equal(application.claims.length, 3);
+    assert.ok(application.claims.every((owner) => owner === "test-instance"));
+    assert.equal(scheduler.isRunning, false);
+  });
+
+  it("Skips a cycle while one is already running", async () => {
+    const application = idleApplication();
+    const scheduler = new Scheduler(application);
+    scheduler.isRunning = true;
+
+    await scheduler.runCycle();
+
+    assert.equal(application.claims.length, 0);
+  });
+});
@@ -0,0 +1,95 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { applyCachingHints } from "../../lib/polling/tier.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Assert a date is within a second of an expected time
+ * @param {Date} actual - Actual date
+ * @param {number} expected - Expected time in milliseconds
+ */
+function assertNear(actual, expected) {
+  assert.ok(
+    Math.abs(actual.getTime() - expected) < 1000,
+    `${actual.toISOString()} is not ${new Date(expected).toISOString()}`,
+  );
+}
+
+describe("polling/tier", () => {
+  it("Keeps the tier's fetch time without hints", () => {
+    const nextFetchAt = new Date(Date.now() + 2 * MINUTE);
+
+    assert.equal(applyCachingHints(nextFetchAt), nextFetchAt);
+    assert.deepEqual(applyCachingHints(nextFetchAt, {}), nextFetchAt);
+  });
+
+  it("Waits for Cache-Control max-age", () => {
+    const now = Date.now();
+    const result = applyCachingHints(new Date(now + 2 * MINUTE), {
+      maxAge: 3600,
+    });
+
+    assertNear(result, now + HOUR);
+  });
+
+  it("Keeps a later tier time over a shorter hint", () => {
+    const nextFetchAt = new Date(Date.now() + 2 * HOUR);
+    const result = applyCachingHints(nextFetchAt, { maxAge: 60 });
+
+    assert.deepEqual(result, nextFetchAt);
+  });
+
+  it("Uses the longest of Expires, Retry-After and RSS ttl", () => {
+    const now = Date.now();
+    const result = applyCachingHints(new Date(now), {
+      expires: new Date(now + 10 * MINUTE).toUTCString(),
+      retryAfter: 120,
+      ttl: 30,
+    });
+
+    assertNear(result, now + 30 * MINUTE);
+  });
+
+  it("Spreads sy:updatePeriod over sy:updateFrequency", () => {
+    const now = Date.now();
+    const result = applyCachingHints(new Date(now), {
+      updatePeriod: "daily",
+      updateFrequency: 4,
+    });
+
+    assertNear(result, now + 6 * HOUR);
+  });
+
+  it("Caps hints at a week", () => {
+    const now = Date.now();
+    const result = applyCachingHints(new Date(now), { maxAge: 30 * 24 * 3600 });
+
+    assertNear(result, now + 7 * 24 * HOUR);
+  });
+
+  it("Moves the fetch out of skipped hours", () => {
+    // Monday 03:30 UTC
+    const nextFetchAt = new Date("2030-01-07T03:30:00Z");
+    const result = applyCachingHints(nextFetchAt, { skipHours: [3, 4] });
+
+    assert.equal(result.toISOString(), "2030-01-07T05:00:00.000Z");
+  });
+
+  it("Moves the fetch out of skipped days", () => {
+    const nextFetchAt = new Date("2030-01-07T03:30:00Z");
+    const result = applyCachingHints(nextFetchAt, { skipDays: ["Monday"] });
+
+    assert.equal(result.toISOString(), "2030-01-08T00:00:00.000Z");
+  });
+
+  it("Ignores skip hints that block every hour", () => {
+    const nextFetchAt = new Date("2030-01-07T03:30:00Z");
+    const skipHours = Array.from({ length: 24 }, (_, hour) => hour);
+    const result = applyCachingHints(nextFetchAt, { skipHours });
+
+    assert.deepEqual(result, nextFetchAt);
+  });
+});
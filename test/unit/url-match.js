@@ -0,0 +1,89 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  canonicalItemUrl,
+  escapeRegex,
+  normalizeUrl,
+  rootOrigin,
+  urlOrigin,
+  urlVariants,
+} from "../../lib/utils/url-match.js";
+
+describe("utils/url-match", () => {
+  it("Normalizes feed URLs", () => {
+    assert.equal(
+      normalizeUrl("http://Example.COM/feed/"),
+      "https://example.com/feed",
+    );
+    assert.equal(normalizeUrl("https://example.com/"), "https://example.com/");
+    assert.equal(normalizeUrl("not a url"), "not a url");
+  });
+
+  it("Builds URL variants with and without trailing slash", () => {
+    const variants = urlVariants("http://example.com/@alice");
+
+    assert.deepEqual(variants.sort(), [
+      "http://example.com/@alice",
+      "http://example.com/@alice/",
+      "https://example.com/@alice",
+      "https://example.com/@alice/",
+    ]);
+  });
+
+  it("Gets the origin of site root URLs only", () => {
+    assert.equal(rootOrigin("https://example.com/"), "https://example.com");
+    assert.equal(rootOrigin("https://example.com"), "https://example.com");
+    assert.equal(rootOrigin("https://example.com/@alice"), undefined);
+    assert.equal(rootOrigin("https://example.com/?page=2"), undefined);
+    assert.equal(rootOrigin("not a url"), undefined);
+  });
+
+  it("Gets the origin of any URL", () => {
+    assert.equal(urlOrigin("https://example.com/a/b"), "https://example.com");
+    assert.equal(urlOrigin("not a url"), undefined);
+  });
+
+  it("Canonicalizes item URLs", () => {
+    assert.equal(
+      canonicalItemUrl(
+        "http://WWW.Example.com:80/post/?utm_source=rss&b=2&a=1&fbclid=x#top",
+      ),
+      "https://example.com/post?a=1&b=2",
+    );
+    assert.equal(
+      canonicalItemUrl("https://example.com/post"),
+      canonicalItemUrl("https://www.example.com/post/?gclid=x"),
+    );
+  });
+
+  it("Keeps ports other than 80 and 443", () => {
+    assert.equal(
+      canonicalItemUrl("http://example.com:443/post"),
+      "https://example.com/post",
+    );
+    assert.equal(
+      canonicalItemUrl("https://example.com:8443/post"),
+      "https://example.com:8443/post",
+    );
+  });
+
+  it("Keeps query parameters that may identify content", () => {
+    assert.equal(
+      canonicalItemUrl("https://example.com/post?ref=main&source=docs"),
+      "https://example.com/post?ref=main&source=docs",
+    );
+  });
+
+  it("Ignores invalid and non-HTTP item URLs", () => {
+    assert.equal(canonicalItemUrl("not a url"), undefined);
+    assert.equal(canonicalItemUrl("mailto:alice@example.com"), undefined);
+  });
+
+  it("Escapes strings for use in a RegExp", () => {
+    const pattern = new RegExp(`^${escapeRegex("a.b(c)*")}$`);
+
+    assert.ok(pattern.test("a.b(c)*"));
+    assert.ok(!pattern.test("axb(c)"));
+  });
+});